@@ -0,0 +1,454 @@
+// Local stand-in for the Cloudflare v4 API endpoints the worker calls. Point the worker at it with
+// CLOUDFLARE_API_BASE_URL=<url>/client/v4 and ACCESS_TEAM_DOMAIN=<url>.
+//
+// Emulates:
+//   GET    /client/v4/accounts/:account_id
+//   GET    /client/v4/accounts/:account_id/zt_risk_scoring/summary        (paginated)
+//   GET    /client/v4/accounts/:account_id/zt_risk_scoring/behaviors
+//   PUT    /client/v4/accounts/:account_id/zt_risk_scoring/behaviors
+//   GET    /client/v4/accounts/:account_id/zt_risk_scoring/:user_id       (per-user events)
+//   POST   /client/v4/accounts/:account_id/zt_risk_scoring/:user_id/reset (clears the score to low)
+//   GET    /client/v4/accounts/:account_id/gateway/lists
+//   POST   /client/v4/accounts/:account_id/gateway/lists
+//   GET    /client/v4/accounts/:account_id/gateway/lists/:list_id
+//   PUT    /client/v4/accounts/:account_id/gateway/lists/:list_id
+//   PATCH  /client/v4/accounts/:account_id/gateway/lists/:list_id          (append/remove)
+//   DELETE /client/v4/accounts/:account_id/gateway/lists/:list_id
+//   GET    /client/v4/accounts/:account_id/gateway/lists/:list_id/items   (paginated)
+//   GET    /client/v4/accounts/:account_id/gateway/rules
+//   POST   /client/v4/accounts/:account_id/gateway/rules
+//   GET    /client/v4/accounts/:account_id/gateway/rules/:rule_id
+//   PUT    /client/v4/accounts/:account_id/gateway/rules/:rule_id
+//   GET    /client/v4/accounts/:account_id/access/groups                  (paginated)
+//   POST   /client/v4/accounts/:account_id/access/groups
+//   GET    /client/v4/accounts/:account_id/access/groups/:group_id
+//   PUT    /client/v4/accounts/:account_id/access/groups/:group_id
+//   GET    /cdn-cgi/access/certs                                           (Access signing keys)
+//   POST   /webhooks/:name                                                 (accepts any webhook delivery)
+//
+// Standalone: node tests/mock-cloudflare-api.mjs [--port 8788] [--seed fixtures.json] [--email you@example.com --aud <ACCESS_AUD>]
+
+import http from 'node:http';
+import { randomUUID, webcrypto } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+
+const { subtle } = webcrypto;
+
+function base64Url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function envelope(result, resultInfo) {
+    const body = { success: true, errors: [], messages: [], result };
+    if (resultInfo) body.result_info = resultInfo;
+    return body;
+}
+
+function errorEnvelope(code, message) {
+    return { success: false, errors: [{ code, message }], messages: [], result: null };
+}
+
+// Slice items the way the v4 API does for page/per_page queries
+function paginate(items, searchParams, defaultPerPage) {
+    const perPage = Math.max(1, Number(searchParams.get('per_page')) || defaultPerPage);
+    const page = Math.max(1, Number(searchParams.get('page')) || 1);
+    const start = (page - 1) * perPage;
+    const pageItems = items.slice(start, start + perPage);
+
+    return {
+        items: pageItems,
+        resultInfo: {
+            page,
+            per_page: perPage,
+            count: pageItems.length,
+            total_count: items.length,
+            total_pages: Math.max(1, Math.ceil(items.length / perPage))
+        }
+    };
+}
+
+// A few of the predefined risk scoring behaviors, keyed by behavior ID like the real API
+function defaultBehaviors() {
+    return {
+        imp_travel: { name: 'Impossible travel', description: 'A user had a successful Access application log in from two locations that they could not have traveled to in that period of time.', enabled: true, risk_level: 'high' },
+        high_dlp: { name: 'High number of DLP policies triggered', description: 'A user has a high number of DLP policy matches within the last 24 hours.', enabled: true, risk_level: 'medium' },
+        sentinel_one: { name: 'SentinelOne threat detected on machine', description: 'The SentinelOne Insights API detected a threat on a device associated with the user.', enabled: false, risk_level: 'low' }
+    };
+}
+
+function createAccountState(id) {
+    return { id, name: `Account ${id.slice(0, 8)}`, users: [], lists: new Map(), behaviors: defaultBehaviors(), rules: new Map(), groups: new Map() };
+}
+
+function makeList({ id = randomUUID(), name, description = '', type = 'EMAIL', items = [] }) {
+    const now = new Date().toISOString();
+    return {
+        id,
+        name,
+        description,
+        type,
+        created_at: now,
+        updated_at: now,
+        items: items.map(item => ({ value: item.value ?? item, description: item.description || '', created_at: now }))
+    };
+}
+
+function describeList(list) {
+    const { items, ...meta } = list;
+    return { ...meta, count: items.length };
+}
+
+export async function startMockCloudflareApi({ port = 0, host = '127.0.0.1', apiToken = null, seed = {} } = {}) {
+    const accessKeys = await subtle.generateKey(
+        { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+        true,
+        ['sign', 'verify']
+    );
+    const accessJwk = { ...(await subtle.exportKey('jwk', accessKeys.publicKey)), kid: 'mock-access-key', alg: 'RS256', use: 'sig' };
+
+    const accounts = new Map();
+    // Injected failures, consumed in order by the first matching request
+    const failures = [];
+    const requests = [];
+    // Webhook deliveries with their raw body, so tests can check signatures
+    const webhooks = [];
+
+    function account(accountId) {
+        if (!accounts.has(accountId)) {
+            accounts.set(accountId, createAccountState(accountId));
+        }
+        return accounts.get(accountId);
+    }
+
+    function takeFailure(method, path) {
+        const index = failures.findIndex(failure =>
+            (!failure.method || failure.method === method) &&
+            (typeof failure.path === 'string' ? path.includes(failure.path) : failure.path.test(path))
+        );
+        if (index === -1) return null;
+
+        const failure = failures[index];
+        if (--failure.times <= 0) {
+            failures.splice(index, 1);
+        }
+        return failure;
+    }
+
+    async function readText(request) {
+        const chunks = [];
+        for await (const chunk of request) chunks.push(chunk);
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    async function readJson(request) {
+        const text = await readText(request);
+        return text ? JSON.parse(text) : {};
+    }
+
+    async function route(method, url, request) {
+        if (method === 'GET' && url.pathname === '/cdn-cgi/access/certs') {
+            return [200, { keys: [accessJwk] }];
+        }
+        if (method === 'POST' && url.pathname.startsWith('/webhooks/')) {
+            webhooks.push({ path: url.pathname, headers: request.headers, body: await readText(request) });
+            return [200, { ok: true }];
+        }
+
+        const match = url.pathname.match(/^\/client\/v4\/accounts\/([^/]+)(\/.*)?$/);
+        if (!match) {
+            return [404, errorEnvelope(7000, 'No route for that URI')];
+        }
+
+        if (apiToken && request.headers.authorization !== `Bearer ${apiToken}`) {
+            return [403, errorEnvelope(10000, 'Authentication error')];
+        }
+
+        const state = account(match[1]);
+        const path = match[2] || '';
+
+        if (path === '' && method === 'GET') {
+            return [200, envelope({ id: state.id, name: state.name })];
+        }
+
+        if (path === '/zt_risk_scoring/summary' && method === 'GET') {
+            const { items, resultInfo } = paginate(state.users, url.searchParams, 20);
+            return [200, envelope({ users: items.map(({ events, ...user }) => user) }, resultInfo)];
+        }
+
+        if (path === '/zt_risk_scoring/behaviors') {
+            if (method === 'GET') {
+                return [200, envelope({ behaviors: state.behaviors })];
+            }
+            if (method === 'PUT') {
+                const body = await readJson(request);
+                const updates = Object.entries(body.behaviors || {});
+                const invalid = updates.find(([id, update]) =>
+                    !state.behaviors[id] || typeof update.enabled !== 'boolean' || !['low', 'medium', 'high'].includes(update.risk_level)
+                );
+                if (invalid) {
+                    return [400, errorEnvelope(2001, `Invalid behavior update: ${invalid[0]}`)];
+                }
+                for (const [id, update] of updates) {
+                    Object.assign(state.behaviors[id], { enabled: update.enabled, risk_level: update.risk_level });
+                }
+                return [200, envelope({ behaviors: state.behaviors })];
+            }
+            return [405, errorEnvelope(10405, 'Method not allowed')];
+        }
+
+        const riskUserMatch = path.match(/^\/zt_risk_scoring\/([^/]+)$/);
+        if (riskUserMatch && method === 'GET') {
+            const user = state.users.find(candidate => candidate.user_id === decodeURIComponent(riskUserMatch[1]));
+            if (!user) {
+                return [404, errorEnvelope(1404, 'User not found')];
+            }
+            return [200, envelope({
+                email: user.email,
+                name: user.name,
+                risk_level: user.max_risk_level,
+                last_reset_time: user.last_reset_time || null,
+                events: user.events || []
+            })];
+        }
+
+        const riskResetMatch = path.match(/^\/zt_risk_scoring\/([^/]+)\/reset$/);
+        if (riskResetMatch && method === 'POST') {
+            const user = state.users.find(candidate => candidate.user_id === decodeURIComponent(riskResetMatch[1]));
+            if (!user) {
+                return [404, errorEnvelope(1404, 'User not found')];
+            }
+            Object.assign(user, { max_risk_level: 'low', event_count: 0, events: [], last_reset_time: new Date().toISOString() });
+            return [200, envelope(null)];
+        }
+
+        if (path === '/gateway/lists') {
+            if (method === 'GET') {
+                return [200, envelope([...state.lists.values()].map(describeList))];
+            }
+            if (method === 'POST') {
+                const body = await readJson(request);
+                if (!body.name || !body.type) {
+                    return [400, errorEnvelope(2001, 'name and type are required')];
+                }
+                const list = makeList(body);
+                state.lists.set(list.id, list);
+                return [200, envelope(describeList(list))];
+            }
+            return [405, errorEnvelope(10405, 'Method not allowed')];
+        }
+
+        // Gateway rules and Access groups share the same collection semantics
+        const collectionMatch = path.match(/^\/(gateway\/rules|access\/groups)(?:\/([^/]+))?$/);
+        if (collectionMatch) {
+            const isRules = collectionMatch[1] === 'gateway/rules';
+            const collection = isRules ? state.rules : state.groups;
+            const id = collectionMatch[2];
+
+            if (!id && method === 'GET') {
+                const { items, resultInfo } = paginate([...collection.values()], url.searchParams, isRules ? 1000 : 25);
+                return [200, envelope(items, resultInfo)];
+            }
+            if (!id && method === 'POST') {
+                const body = await readJson(request);
+                if (!body.name || (isRules ? !body.action || !Array.isArray(body.filters) : !Array.isArray(body.include))) {
+                    return [400, errorEnvelope(2001, isRules ? 'name, action and filters are required' : 'name and include are required')];
+                }
+                const now = new Date().toISOString();
+                const item = { ...body, id: randomUUID(), created_at: now, updated_at: now };
+                collection.set(item.id, item);
+                return [200, envelope(item)];
+            }
+            const existing = id ? collection.get(id) : null;
+            if (!existing) {
+                return [404, errorEnvelope(isRules ? 2050 : 12130, isRules ? 'Rule not found' : 'Access group not found')];
+            }
+            if (method === 'GET') {
+                return [200, envelope(existing)];
+            }
+            if (method === 'PUT') {
+                const body = await readJson(request);
+                const item = { ...body, id, created_at: existing.created_at, updated_at: new Date().toISOString() };
+                collection.set(id, item);
+                return [200, envelope(item)];
+            }
+            return [405, errorEnvelope(10405, 'Method not allowed')];
+        }
+
+        const listMatch = path.match(/^\/gateway\/lists\/([^/]+)(\/items)?$/);
+        if (!listMatch) {
+            return [404, errorEnvelope(7000, 'No route for that URI')];
+        }
+
+        const list = state.lists.get(listMatch[1]);
+        if (!list) {
+            return [404, errorEnvelope(2015, 'List not found')];
+        }
+
+        if (listMatch[2]) {
+            if (method !== 'GET') {
+                return [405, errorEnvelope(10405, 'Method not allowed')];
+            }
+            const { items, resultInfo } = paginate(list.items, url.searchParams, 50);
+            return [200, envelope(items, resultInfo)];
+        }
+
+        switch (method) {
+            case 'GET':
+                return [200, envelope(describeList(list))];
+            case 'DELETE':
+                state.lists.delete(list.id);
+                return [200, envelope({ id: list.id })];
+            case 'PUT': {
+                const body = await readJson(request);
+                const replacement = makeList({ ...list, ...body, id: list.id, type: list.type, items: body.items || [] });
+                state.lists.set(list.id, { ...replacement, created_at: list.created_at });
+                return [200, envelope(describeList(replacement))];
+            }
+            case 'PATCH': {
+                const body = await readJson(request);
+                const remove = new Set(body.remove || []);
+                const now = new Date().toISOString();
+                list.items = list.items.filter(item => !remove.has(item.value));
+                for (const item of body.append || []) {
+                    if (!list.items.some(existing => existing.value === item.value)) {
+                        list.items.push({ value: item.value, description: item.description || '', created_at: now });
+                    }
+                }
+                list.updated_at = now;
+                return [200, envelope(describeList(list))];
+            }
+            default:
+                return [405, errorEnvelope(10405, 'Method not allowed')];
+        }
+    }
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://mock.invalid');
+        const method = request.method;
+        const path = url.pathname + url.search;
+        let status;
+        let body;
+        // Real responses carry a Cloudflare request ID that the worker records in its audit trail
+        const headers = { 'Content-Type': 'application/json', 'cf-ray': `${randomUUID().replace(/-/g, '').slice(0, 16)}-MCK` };
+
+        const failure = takeFailure(method, path);
+        if (failure) {
+            status = failure.status;
+            body = errorEnvelope(status === 429 ? 10429 : 10500, failure.message || `Injected HTTP ${status}`);
+            if (status === 429) {
+                headers['Retry-After'] = String(failure.retryAfter ?? 0);
+            }
+        } else {
+            try {
+                [status, body] = await route(method, url, request);
+            } catch (error) {
+                [status, body] = [400, errorEnvelope(1000, `Bad request: ${error.message}`)];
+            }
+        }
+
+        requests.push({ method, path, status });
+        response.writeHead(status, headers);
+        response.end(JSON.stringify(body));
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const url = `http://${host}:${server.address().port}`;
+
+    const mock = {
+        url,
+        apiBaseUrl: `${url}/client/v4`,
+        requests,
+        webhooks,
+
+        // Replace an account's risk scoring users and Gateway lists. Users may carry an events array of
+        // { id, name, risk_level, timestamp, event_details } served by the per-user endpoint. lists is an
+        // array of { id, name, type, items } where items are email strings or { value, description }.
+        // behaviors replaces the risk scoring behaviors, keyed by ID as { name, description, enabled, risk_level }.
+        setAccount(accountId, { name, users, lists, behaviors } = {}) {
+            const state = account(accountId);
+            if (name) state.name = name;
+            if (behaviors) state.behaviors = structuredClone(behaviors);
+            if (users) state.users = users.map(user => ({ ...user }));
+            if (lists) {
+                state.lists = new Map(lists.map(list => [list.id, makeList(list)]));
+            }
+            return state;
+        },
+
+        setUsers(accountId, users) {
+            account(accountId).users = users.map(user => ({ ...user }));
+        },
+
+        // Live Gateway rules and Access groups of an account, for assertions and simulating edits made by hand
+        gatewayRules(accountId) {
+            return [...account(accountId).rules.values()];
+        },
+
+        accessGroups(accountId) {
+            return [...account(accountId).groups.values()];
+        },
+
+        listEmails(accountId, listId) {
+            const list = account(accountId).lists.get(listId);
+            return list ? list.items.map(item => item.value).sort() : null;
+        },
+
+        // Fail the next `times` requests whose method matches and whose path contains (or matches) path
+        inject({ method = null, path = '', status, times = 1, retryAfter, message } = {}) {
+            failures.push({ method, path, status, times, retryAfter, message });
+        },
+
+        // Issue a Cf-Access-Jwt-Assertion token signed with the key served from /cdn-cgi/access/certs
+        async signAccessToken(claims) {
+            const now = Math.floor(Date.now() / 1000);
+            const header = base64Url(JSON.stringify({ alg: 'RS256', kid: accessJwk.kid, typ: 'JWT' }));
+            const payload = base64Url(JSON.stringify({ iss: url, iat: now, exp: now + 3600, ...claims }));
+            const signature = await subtle.sign('RSASSA-PKCS1-v1_5', accessKeys.privateKey, new TextEncoder().encode(`${header}.${payload}`));
+            return `${header}.${payload}.${base64Url(new Uint8Array(signature))}`;
+        },
+
+        reset() {
+            accounts.clear();
+            failures.length = 0;
+            requests.length = 0;
+            webhooks.length = 0;
+        },
+
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+
+    for (const [accountId, accountSeed] of Object.entries(seed.accounts || {})) {
+        mock.setAccount(accountId, accountSeed);
+    }
+
+    return mock;
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        options[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = parseArgs(process.argv.slice(2));
+    const seed = args.seed ? JSON.parse(await readFile(args.seed, 'utf8')) : {};
+    const mock = await startMockCloudflareApi({ port: Number(args.port) || 8788, seed });
+
+    console.log(`Mock Cloudflare API listening on ${mock.url}`);
+    console.log(`  CLOUDFLARE_API_BASE_URL=${mock.apiBaseUrl}`);
+    console.log(`  ACCESS_TEAM_DOMAIN=${mock.url}`);
+    if (args.email && args.aud) {
+        console.log(`  Cf-Access-Jwt-Assertion for ${args.email} (valid 1h):`);
+        console.log(`  ${await mock.signAccessToken({ email: args.email, aud: [args.aud] })}`);
+    }
+}
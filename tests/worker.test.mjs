@@ -0,0 +1,1377 @@
+// End-to-end tests: the worker's scheduled and fetch handlers running against tests/mock-cloudflare-api.mjs
+// with an in-memory KV namespace. Run with: node --test
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import vm from 'node:vm';
+import { startMockCloudflareApi } from './mock-cloudflare-api.mjs';
+import worker from '../user-risk-demo.js';
+
+const ACCOUNT_ID = '0123456789abcdef0123456789abcdef';
+const API_TOKEN = 'mock-token-0123456789abcdefghijklmnopqrstuvwxyz';
+const ACCESS_AUD = 'mock-access-aud';
+const LIST_IDS = {
+    high: '11111111-1111-4111-8111-111111111111',
+    medium: '22222222-2222-4222-8222-222222222222',
+    low: '33333333-3333-4333-8333-333333333333'
+};
+
+let mock;
+
+// Workers KV subset used by the worker: get (text or json), put with TTL and metadata, delete and paged prefix list
+function createMemoryKV() {
+    const store = new Map();
+    return {
+        store,
+        async get(key, type) {
+            const entry = store.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+                store.delete(key);
+                return null;
+            }
+            return type === 'json' ? JSON.parse(entry.value) : entry.value;
+        },
+        async put(key, value, options = {}) {
+            const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+            store.set(key, { value: String(value), expiresAt, metadata: options.metadata });
+        },
+        async delete(key) {
+            store.delete(key);
+        },
+        async list({ prefix = '', limit = 1000, cursor } = {}) {
+            const names = [...store.keys()].filter(key => key.startsWith(prefix)).sort();
+            const start = Number(cursor) || 0;
+            const keys = names.slice(start, start + limit).map(name => ({ name, metadata: store.get(name).metadata }));
+            const listComplete = start + limit >= names.length;
+            return { keys, list_complete: listComplete, cursor: listComplete ? undefined : String(start + limit) };
+        }
+    };
+}
+
+function createEnv(overrides = {}) {
+    return {
+        CLOUDFLARE_API_BASE_URL: mock.apiBaseUrl,
+        CLOUDFLARE_ACCOUNT_ID: ACCOUNT_ID,
+        CLOUDFLARE_API_TOKEN: API_TOKEN,
+        ACCESS_TEAM_DOMAIN: mock.url,
+        ACCESS_AUD,
+        OPERATOR_EMAILS: 'ops@example.com',
+        HIGH_RISK_LIST_ID: LIST_IDS.high,
+        MEDIUM_RISK_LIST_ID: LIST_IDS.medium,
+        LOW_RISK_LIST_ID: LIST_IDS.low,
+        USER_RISK_KV: createMemoryKV(),
+        ...overrides
+    };
+}
+
+function user(email, level, extra = {}) {
+    return { user_id: `id-${email}`, email, name: email.split('@')[0], max_risk_level: level, event_count: 3, last_event: new Date().toISOString(), ...extra };
+}
+
+function seedAccount(users, items = {}) {
+    mock.setAccount(ACCOUNT_ID, {
+        users,
+        lists: Object.entries(LIST_IDS).map(([level, id]) => ({ id, name: `${level} risk users`, type: 'EMAIL', items: items[level] || [] }))
+    });
+}
+
+function runScheduled(env) {
+    return worker.scheduled({ cron: '* * * * *', scheduledTime: Date.now() }, env, { waitUntil() {} });
+}
+
+// A string body is sent as-is, anything else as JSON
+async function callWorker(env, method, path, { email, body } = {}) {
+    const headers = {};
+    if (email) {
+        headers['Cf-Access-Jwt-Assertion'] = await mock.signAccessToken({ email, aud: [ACCESS_AUD] });
+    }
+    if (body) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await worker.fetch(
+        new Request(`https://ueba.example.com${path}`, { method, headers, body: body ? (typeof body === 'string' ? body : JSON.stringify(body)) : undefined }),
+        env,
+        { waitUntil() {} }
+    );
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        // HTML dashboard or plain text
+    }
+    return { status: response.status, json, text };
+}
+
+// Evaluate the dashboard's inline script against a stub DOM so its render functions can be called directly.
+// API calls never resolve, so the page's initial loads stay pending.
+async function loadDashboard(env) {
+    const page = await callWorker(env, 'GET', '/', { email: 'viewer@example.com' });
+    const script = page.text.match(/<script>([\s\S]*?)<\/script>/)[1];
+    const elements = new Map();
+    const document = {
+        getElementById(id) {
+            if (!elements.has(id)) {
+                elements.set(id, { innerHTML: '', textContent: '', value: '', style: {}, dataset: {}, classList: { add() {}, remove() {}, toggle() {} } });
+            }
+            return elements.get(id);
+        },
+        querySelectorAll() {
+            return [];
+        }
+    };
+    const context = vm.createContext({ window: { location: { search: '' } }, document, URLSearchParams, console, fetch: () => new Promise(() => {}) });
+    vm.runInContext(script, context);
+    return { context, document };
+}
+
+function requestsTo(pathPart) {
+    return mock.requests.filter(request => request.path.includes(pathPart));
+}
+
+// The worker logs every step; keep the test output readable
+const quietConsole = {};
+before(async () => {
+    mock = await startMockCloudflareApi({ apiToken: API_TOKEN });
+    for (const method of ['log', 'info', 'warn']) {
+        quietConsole[method] = console[method];
+        console[method] = () => {};
+    }
+});
+
+after(async () => {
+    Object.assign(console, quietConsole);
+    await mock.close();
+});
+
+beforeEach(() => {
+    mock.reset();
+});
+
+describe('scheduled sync', () => {
+    test('places users in the list for their risk level', async () => {
+        seedAccount([
+            user('alice@example.com', 'high'),
+            user('bob@example.com', 'medium'),
+            user('carol@example.com', 'low'),
+            user('dave@example.com', 'medium')
+        ]);
+        const env = createEnv();
+
+        await runScheduled(env);
+
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.medium), ['bob@example.com', 'dave@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.low), ['carol@example.com']);
+
+        const expectedState = await env.USER_RISK_KV.get(`gateway_list_${LIST_IDS.high}`, 'json');
+        assert.deepEqual(expectedState.emails, ['alice@example.com']);
+    });
+
+    test('moves users between lists and removes users that are no longer scored', async () => {
+        seedAccount([user('alice@example.com', 'low'), user('bob@example.com', 'high')], {
+            high: ['alice@example.com', 'gone@example.com'],
+            medium: ['bob@example.com']
+        });
+
+        await runScheduled(createEnv());
+
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['bob@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.medium), []);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.low), ['alice@example.com']);
+    });
+
+    test('follows pagination on the risk summary and Gateway list items', async () => {
+        const users = Array.from({ length: 120 }, (_, i) => user(`user${String(i).padStart(3, '0')}@example.com`, 'medium'));
+        const existing = users.slice(0, 110).map(u => u.email);
+        seedAccount(users, { medium: existing });
+
+        await runScheduled(createEnv());
+
+        // 120 users at 50 per page, 110 list items at 100 per page, then 120 read back to verify the PATCH
+        assert.equal(requestsTo('/zt_risk_scoring/summary').length, 3);
+        assert.equal(requestsTo(`/gateway/lists/${LIST_IDS.medium}/items`).length, 4);
+        assert.equal(mock.listEmails(ACCOUNT_ID, LIST_IDS.medium).length, 120);
+        assert.equal(requestsTo(`/gateway/lists/${LIST_IDS.medium}`).filter(r => r.method === 'PATCH').length, 1);
+    });
+
+    test('reads each patched list back to verify its members', async () => {
+        seedAccount([user('alice@example.com', 'high')], { high: ['bob@example.com'] });
+        const env = createEnv();
+
+        await runScheduled(env);
+
+        const highRequests = requestsTo(`/gateway/lists/${LIST_IDS.high}`).map(r => r.method);
+        assert.deepEqual(highRequests.slice(highRequests.indexOf('PATCH')), ['PATCH', 'GET']);
+        // Only a read-back that matched lets later runs trust the fingerprint and skip the list fetches
+        assert.equal((await env.USER_RISK_KV.get('sync_fingerprint', 'json')).verified, true);
+    });
+
+    test('retries after a 429 from the risk scoring API', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        mock.inject({ method: 'GET', path: '/zt_risk_scoring/summary', status: 429, retryAfter: 0 });
+
+        await runScheduled(createEnv());
+
+        assert.deepEqual(requestsTo('/zt_risk_scoring/summary').map(r => r.status), [429, 200]);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+    });
+
+    test('retries a Gateway list PATCH after a 5xx', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        mock.inject({ method: 'PATCH', path: `/gateway/lists/${LIST_IDS.high}`, status: 503 });
+
+        await runScheduled(createEnv());
+
+        const patches = requestsTo(`/gateway/lists/${LIST_IDS.high}`).filter(r => r.method === 'PATCH');
+        assert.deepEqual(patches.map(r => r.status), [503, 200]);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+    });
+
+    test('leaves the lists alone when the risk scoring API keeps failing', async () => {
+        seedAccount([user('alice@example.com', 'high')], { high: ['alice@example.com'] });
+        mock.inject({ method: 'GET', path: '/zt_risk_scoring/summary', status: 429, retryAfter: 0, times: 3 });
+
+        await runScheduled(createEnv());
+
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+        assert.equal(mock.requests.filter(r => r.method === 'PATCH').length, 0);
+    });
+
+    test('does not touch Gateway in DRY_RUN mode', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+
+        await runScheduled(createEnv({ DRY_RUN: 'true' }));
+
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), []);
+        assert.equal(mock.requests.filter(r => r.method !== 'GET').length, 0);
+    });
+
+    test('holds a demoted user in the elevated list until enough lower readings were seen', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv({ DEESCALATION_MIN_READINGS: '2' });
+        await runScheduled(env);
+
+        mock.setUsers(ACCOUNT_ID, [user('alice@example.com', 'low')]);
+        await runScheduled(env);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.low), []);
+
+        await runScheduled(env);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), []);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.low), ['alice@example.com']);
+    });
+
+    test('keeps protected users out of every risk list', async () => {
+        seedAccount([
+            user('alice@example.com', 'high'),
+            user('breakglass@example.com', 'high'),
+            user('deploy@svc.example.com', 'medium')
+        ], { high: ['breakglass@example.com'] });
+
+        await runScheduled(createEnv({ PROTECTED_USERS: 'breakglass@example.com', PROTECTED_PATTERNS: '@svc.example.com' }));
+
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.medium), []);
+    });
+
+    test('skips the Gateway list fetches on the next run while the expected membership is unchanged', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv();
+        await runScheduled(env);
+
+        mock.requests.length = 0;
+        await runScheduled(env);
+        assert.equal(requestsTo('/items').length, 0);
+        assert.equal(mock.requests.filter(r => r.method === 'PATCH').length, 0);
+
+        mock.setUsers(ACCOUNT_ID, [user('alice@example.com', 'high'), user('bob@example.com', 'high')]);
+        await runScheduled(env);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com', 'bob@example.com']);
+    });
+
+    test('fills mapped lists from their membership rules', async () => {
+        seedAccount([
+            user('alice@example.com', 'high'),
+            user('bob@example.com', 'medium', { event_count: 7 }),
+            user('carol@example.com', 'low', { event_count: 9 })
+        ]);
+        const mapping = [
+            { key: 'elevated', id: LIST_IDS.high, rule: 'high or medium' },
+            { key: 'busy', id: LIST_IDS.medium, rule: 'not low and event_count >= 5' }
+        ];
+
+        await runScheduled(createEnv({ RISK_LIST_MAPPING: JSON.stringify(mapping) }));
+
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com', 'bob@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.medium), ['bob@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.low), []);
+    });
+
+    test('syncs every TENANTS account under its own KV prefix and isolates a failing account', async () => {
+        const otherAccountId = 'fedcba9876543210fedcba9876543210';
+        const otherListId = '44444444-4444-4444-8444-444444444444';
+        seedAccount([user('alice@example.com', 'high')]);
+        mock.setAccount(otherAccountId, { users: [user('bob@example.com', 'high')], lists: [{ id: otherListId, name: 'high risk users', type: 'EMAIL' }] });
+        mock.inject({ path: `/accounts/${otherAccountId}/zt_risk_scoring/summary`, status: 429, retryAfter: 0, times: 3 });
+        const env = createEnv({
+            LAB_API_TOKEN: API_TOKEN,
+            TENANTS: JSON.stringify([
+                { id: 'lab', account_id: otherAccountId, api_token_secret: 'LAB_API_TOKEN', lists: [{ key: 'high', id: otherListId, rule: 'high' }] },
+                { id: 'prod', account_id: ACCOUNT_ID, api_token_secret: 'LAB_API_TOKEN', lists: [{ key: 'high', id: LIST_IDS.high, rule: 'high' }] }
+            ])
+        });
+
+        await runScheduled(env);
+
+        assert.deepEqual(mock.listEmails(otherAccountId, otherListId), []);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+        assert.deepEqual((await env.USER_RISK_KV.get(`${ACCOUNT_ID}:gateway_list_${LIST_IDS.high}`, 'json')).emails, ['alice@example.com']);
+        assert.equal(await env.USER_RISK_KV.get(`gateway_list_${LIST_IDS.high}`), null);
+    });
+
+    test('signs webhook deliveries with WEBHOOK_SECRET', async () => {
+        seedAccount([user('alice@example.com', 'low')]);
+        const env = createEnv({ WEBHOOK_SECRET: 'webhook-secret', WEBHOOK_TARGETS: JSON.stringify([{ url: `${mock.url}/webhooks/siem` }]) });
+        await runScheduled(env);
+
+        mock.setUsers(ACCOUNT_ID, [user('alice@example.com', 'high')]);
+        await runScheduled(env);
+
+        assert.equal(mock.webhooks.length, 1);
+        const [{ headers, body }] = mock.webhooks;
+        const expected = createHmac('sha256', 'webhook-secret').update(`${headers['x-ueba-timestamp']}.${body}`).digest('hex');
+        assert.equal(headers['x-ueba-signature'], `sha256=${expected}`);
+        assert.equal(JSON.parse(body).user, 'alice@example.com');
+    });
+});
+
+describe('fetch handler', () => {
+    test('rejects requests without an Access token', async () => {
+        const response = await callWorker(createEnv(), 'GET', '/api/health');
+        assert.equal(response.status, 401);
+    });
+
+    test('returns 404 for unknown paths and 405 for the wrong method', async () => {
+        seedAccount([]);
+        const env = createEnv();
+
+        const notFound = await callWorker(env, 'GET', '/api/update-risk-list', { email: 'ops@example.com' });
+        assert.equal(notFound.status, 404);
+
+        const wrongMethod = await callWorker(env, 'GET', '/api/update-risk-lists', { email: 'ops@example.com' });
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(mock.requests.length, 1); // only the Access certs
+    });
+
+    test('rejects malformed path parameters and returns JSON for handler errors', async () => {
+        seedAccount([]);
+
+        const malformed = await callWorker(createEnv(), 'DELETE', '/api/overrides/%E0%A4%A', { email: 'ops@example.com' });
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.json.error, 'Invalid request');
+
+        const brokenKV = { ...createMemoryKV(), async get() { throw new Error('KV unavailable'); } };
+        const failed = await callWorker(createEnv({ USER_RISK_KV: brokenKV }), 'GET', '/metrics', { email: 'viewer@example.com' });
+        assert.equal(failed.status, 500);
+        assert.deepEqual(failed.json, { error: 'Internal error', message: 'KV unavailable' });
+    });
+
+    test('refuses the test endpoints while a sync holds the run lock', async () => {
+        seedAccount([]);
+        const env = createEnv();
+        await env.USER_RISK_KV.put('sync_lock', JSON.stringify({ runId: 'running', trigger: 'scheduled', actor: 'cron', acquiredAt: new Date().toISOString() }));
+
+        const response = await callWorker(env, 'POST', '/api/test-kv-sync', { email: 'ops@example.com' });
+        assert.equal(response.status, 409);
+        assert.equal(response.json.lock.runId, 'running');
+        assert.equal(mock.requests.filter(r => r.method !== 'GET').length, 0);
+    });
+
+    test('lets viewers read but not operate', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv();
+
+        const scores = await callWorker(env, 'GET', '/api/user-risk-scores', { email: 'viewer@example.com' });
+        assert.equal(scores.status, 200);
+
+        const update = await callWorker(env, 'POST', '/api/update-risk-lists', { email: 'viewer@example.com' });
+        assert.equal(update.status, 403);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), []);
+    });
+
+    test('serves the sync plan without changing anything', async () => {
+        seedAccount([user('alice@example.com', 'high')], { high: ['bob@example.com'] });
+
+        const plan = await callWorker(createEnv(), 'GET', '/api/sync/plan', { email: 'viewer@example.com' });
+
+        assert.equal(plan.status, 200);
+        const high = plan.json.lists.high;
+        assert.deepEqual(high.append, ['alice@example.com']);
+        assert.deepEqual(high.remove, ['bob@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['bob@example.com']);
+    });
+
+    test('applies a manual update for operators and reports current list contents', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'low')]);
+        const env = createEnv();
+
+        const update = await callWorker(env, 'POST', '/api/update-risk-lists', { email: 'ops@example.com' });
+        assert.equal(update.status, 200);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+
+        const lists = await callWorker(env, 'GET', '/api/gateway-lists', { email: 'viewer@example.com' });
+        assert.equal(lists.status, 200);
+        assert.deepEqual(lists.json.lists.high.items.map(item => item.value), ['alice@example.com']);
+        assert.deepEqual(lists.json.lists.low.items.map(item => item.value), ['bob@example.com']);
+    });
+
+    test('reports the API as reachable in the health check', async () => {
+        seedAccount([]);
+
+        const health = await callWorker(createEnv(), 'GET', '/api/health', { email: 'viewer@example.com' });
+
+        assert.equal(health.status, 200);
+        assert.equal(health.json.status, 'healthy');
+    });
+
+    test('escapes tenant names and account IDs in the account selector', async () => {
+        const { context, document } = await loadDashboard(createEnv());
+        const markup = '<img src=x onerror=alert(1)>';
+        context.fetch = async () => ({
+            json: async () => ({ accounts: [{ id: `"${markup}`, name: markup }, { id: 'second', name: 'Second' }], default: 'second' })
+        });
+
+        await context.loadAccounts();
+
+        const html = document.getElementById('account-select').innerHTML;
+        assert.ok(html.includes('value="&quot;&lt;img src=x onerror=alert(1)&gt;"'));
+        assert.ok(!html.includes('<img'));
+    });
+
+    test('escapes the run lock owner and run ID in the health panel', async () => {
+        const { context, document } = await loadDashboard(createEnv());
+        const markup = '<img src=x onerror=alert(1)>';
+        context.fetch = async () => ({
+            json: async () => ({
+                status: 'degraded',
+                checks: {},
+                run_lock: { locked: true, stale: true, runId: markup, trigger: markup, actor: markup, ageSeconds: 900 },
+                total_response_time: 1
+            })
+        });
+
+        await context.checkHealth();
+
+        const html = document.getElementById('user-details').innerHTML;
+        assert.ok(html.includes('(run <code>&lt;img src=x onerror=alert(1)&gt;</code>)'));
+        assert.ok(!html.includes('<img'));
+    });
+});
+
+describe('run records', () => {
+    test('records each scheduled run with per-list counts and API requests', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'low')], { medium: ['carol@example.com'] });
+        mock.inject({ method: 'GET', path: '/zt_risk_scoring/summary', status: 429, retryAfter: 0 });
+        const env = createEnv();
+
+        await runScheduled(env);
+
+        const { status, json } = await callWorker(env, 'GET', '/api/runs', { email: 'viewer@example.com' });
+        assert.equal(status, 200);
+        assert.equal(json.runs.length, 1);
+        const [run] = json.runs;
+        assert.equal(run.trigger, 'scheduled');
+        assert.equal(run.actor, 'cron');
+        assert.equal(run.outcome, 'success');
+        assert.deepEqual([run.added, run.removed], [2, 1]);
+        assert.deepEqual([run.lists.high.added, run.lists.medium.removed], [1, 1]);
+        assert.equal(run.apiRequests.retries, 1);
+        assert.equal(run.apiRequests.byStatus['429'], 1);
+        assert.equal(run.apiRequests.total, mock.requests.filter(r => r.path.startsWith('/client/v4')).length);
+        assert.equal(json.stats.total_executions, 1);
+        assert.equal(json.stats.average_duration, run.durationMs);
+    });
+
+    test('filters by outcome and averages durations over every run', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv();
+
+        await runScheduled(env);
+        mock.inject({ method: 'GET', path: '/zt_risk_scoring/summary', status: 429, retryAfter: 0, times: 3 });
+        await runScheduled(env);
+        const manual = await callWorker(env, 'POST', '/api/update-risk-lists', { email: 'ops@example.com' });
+        assert.equal(manual.status, 200);
+
+        const failed = await callWorker(env, 'GET', '/api/runs?outcome=failed', { email: 'viewer@example.com' });
+        assert.equal(failed.json.runs.length, 1);
+        assert.match(failed.json.runs[0].errors[0], /Failed to fetch user risk scores/);
+
+        const all = await callWorker(env, 'GET', '/api/runs', { email: 'viewer@example.com' });
+        assert.deepEqual(all.json.runs.map(run => run.trigger), ['manual-update', 'scheduled', 'scheduled']);
+        assert.equal(all.json.runs[0].actor, 'ops@example.com');
+
+        const { stats } = all.json;
+        assert.deepEqual([stats.total_executions, stats.successful_executions, stats.failed_executions], [3, 2, 1]);
+        const totalDuration = all.json.runs.reduce((total, run) => total + run.durationMs, 0);
+        assert.equal(stats.average_duration, totalDuration / 3);
+
+        const invalid = await callWorker(env, 'GET', '/api/runs?outcome=bogus', { email: 'viewer@example.com' });
+        assert.equal(invalid.status, 400);
+    });
+
+    test('pages through runs with the returned cursor', async () => {
+        seedAccount([]);
+        const env = createEnv();
+        for (let i = 0; i < 3; i++) {
+            await runScheduled(env);
+        }
+
+        const first = await callWorker(env, 'GET', '/api/runs?limit=2', { email: 'viewer@example.com' });
+        assert.equal(first.json.runs.length, 2);
+        assert.ok(first.json.cursor);
+
+        const second = await callWorker(env, 'GET', `/api/runs?limit=2&cursor=${encodeURIComponent(first.json.cursor)}`, { email: 'viewer@example.com' });
+        assert.equal(second.json.runs.length, 1);
+        assert.equal(second.json.cursor, null);
+        const runIds = [...first.json.runs, ...second.json.runs].map(run => run.runId);
+        assert.equal(new Set(runIds).size, 3);
+    });
+});
+
+describe('Prometheus metrics', () => {
+    async function scrape(env, authorization) {
+        const response = await worker.fetch(
+            new Request('https://ueba.example.com/metrics', { headers: { Authorization: authorization } }),
+            env,
+            { waitUntil() {} }
+        );
+        return { status: response.status, contentType: response.headers.get('Content-Type'), text: await response.text() };
+    }
+
+    test('exposes run counters and gauges to a scraper with the bearer token', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'medium')]);
+        mock.inject({ method: 'GET', path: '/zt_risk_scoring/summary', status: 429, retryAfter: 0 });
+        const env = createEnv({ METRICS_BEARER_TOKEN: 'scrape-secret' });
+        await runScheduled(env);
+
+        const { status, contentType, text } = await scrape(env, 'Bearer scrape-secret');
+
+        assert.equal(status, 200);
+        assert.match(contentType, /^text\/plain; version=0\.0\.4/);
+        assert.match(text, /^# TYPE ueba_sync_runs_total counter$/m);
+        assert.match(text, /^ueba_sync_runs_total\{account="default",outcome="success"\} 1$/m);
+        assert.match(text, /^ueba_users\{account="default",level="high"\} 1$/m);
+        assert.match(text, new RegExp(`^ueba_list_members\\{account="default",list="medium",list_id="${LIST_IDS.medium}"\\} 1$`, 'm'));
+        assert.match(text, /^ueba_list_items_appended_total\{account="default"\} 2$/m);
+        assert.match(text, /^ueba_cloudflare_api_requests_total\{account="default",status="429"\} 1$/m);
+        assert.match(text, /^ueba_cloudflare_api_retries_total\{account="default"\} 1$/m);
+        assert.match(text, /^ueba_seconds_since_last_successful_sync\{account="default"\} \d/m);
+        assert.match(text, /^ueba_circuit_breaker_tripped\{account="default"\} 0$/m);
+    });
+
+    test('rejects a wrong bearer token and still serves Access-authenticated viewers', async () => {
+        const env = createEnv({ METRICS_BEARER_TOKEN: 'scrape-secret' });
+
+        const wrongToken = await scrape(env, 'Bearer nope');
+        assert.equal(wrongToken.status, 401);
+
+        const viewer = await callWorker(env, 'GET', '/metrics', { email: 'viewer@example.com' });
+        assert.equal(viewer.status, 200);
+        assert.match(viewer.text, /^ueba_sync_runs_total\{account="default",outcome="failed"\} 0$/m);
+    });
+});
+
+describe('user history', () => {
+    test('records each level change of a user and serves it newest last', async () => {
+        seedAccount([user('alice@example.com', 'low')]);
+        const env = createEnv();
+
+        await runScheduled(env);
+        mock.setUsers(ACCOUNT_ID, [user('alice@example.com', 'high')]);
+        await runScheduled(env);
+
+        const { status, json } = await callWorker(env, 'GET', '/api/users/alice@example.com/history', { email: 'viewer@example.com' });
+        assert.equal(status, 200);
+        assert.equal(json.currentLevel, 'high');
+        assert.deepEqual(json.history.map(entry => [entry.from, entry.to]), [[null, 'low'], ['low', 'high']]);
+    });
+
+    test('keeps HISTORY_MAX_ENTRIES newest entries and ignores values that are not positive integers', async () => {
+        const levels = ['low', 'medium', 'high'];
+        const historyLength = async maxEntries => {
+            const env = createEnv({ HISTORY_MAX_ENTRIES: maxEntries });
+            for (const level of levels) {
+                seedAccount([user('alice@example.com', level)]);
+                await runScheduled(env);
+            }
+            return (await env.USER_RISK_KV.get('user_history_alice@example.com', 'json')).length;
+        };
+
+        assert.equal(await historyLength('2'), 2);
+        assert.equal(await historyLength('0'), 3);
+        assert.equal(await historyLength('-1'), 3);
+    });
+
+    test('defers the history of users beyond HISTORY_MAX_USERS_PER_RUN to later runs', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'high'), user('carol@example.com', 'high')]);
+        const env = createEnv({ HISTORY_MAX_USERS_PER_RUN: '2' });
+        const historyKeys = () => [...env.USER_RISK_KV.store.keys()].filter(key => key.startsWith('user_history_') && key !== 'user_history_pending');
+
+        await runScheduled(env);
+        assert.equal(historyKeys().length, 2);
+        assert.equal((await env.USER_RISK_KV.get('user_history_pending', 'json')).length, 1);
+
+        await runScheduled(env);
+        assert.equal(historyKeys().length, 3);
+        assert.equal(await env.USER_RISK_KV.get('user_history_pending'), null);
+    });
+});
+
+describe('circuit breaker', () => {
+    test('applies a confirmed change only while it matches the change that tripped the breaker', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'high')]);
+        const env = createEnv({ CIRCUIT_BREAKER_MAX_CHANGES: '1' });
+
+        await runScheduled(env);
+        const tripped = await callWorker(env, 'GET', '/api/circuit-breaker', { email: 'viewer@example.com' });
+        assert.equal(tripped.json.tripped, true);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), []);
+
+        // Another user moves after the operator reviewed the blocked change
+        mock.setUsers(ACCOUNT_ID, [user('alice@example.com', 'high'), user('bob@example.com', 'high'), user('carol@example.com', 'high')]);
+        const stale = await callWorker(env, 'POST', '/api/circuit-breaker/confirm', { email: 'ops@example.com', body: { reason: 'reviewed' } });
+        assert.equal(stale.status, 409);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), []);
+        assert.equal(stale.json.circuitBreaker.lists[0].append, 3);
+
+        const confirmed = await callWorker(env, 'POST', '/api/circuit-breaker/confirm', { email: 'ops@example.com', body: { reason: 'reviewed again' } });
+        assert.equal(confirmed.status, 200);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com', 'bob@example.com', 'carol@example.com']);
+        assert.equal((await callWorker(env, 'GET', '/api/circuit-breaker', { email: 'viewer@example.com' })).json.tripped, false);
+    });
+
+    test('keeps the breaker tripped when confirmed under DRY_RUN', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'high')]);
+        const env = createEnv({ CIRCUIT_BREAKER_MAX_CHANGES: '1' });
+        await runScheduled(env);
+
+        const confirmed = await callWorker({ ...env, DRY_RUN: 'true' }, 'POST', '/api/circuit-breaker/confirm', { email: 'ops@example.com' });
+        assert.equal(confirmed.status, 409);
+        assert.equal((await callWorker(env, 'GET', '/api/circuit-breaker', { email: 'viewer@example.com' })).json.tripped, true);
+    });
+
+    test('escapes list names, reasons and errors in the dashboard banner', async () => {
+        const { context, document } = await loadDashboard(createEnv());
+        const markup = '<img src=x onerror=alert(1)>';
+        context.prompt = () => 'reviewed';
+        context.fetch = async () => ({
+            json: async () => ({ tripped: true, trippedAt: markup, lists: [{ listName: markup, append: 3, remove: 0, reason: markup }], message: markup })
+        });
+
+        await context.loadCircuitBreaker();
+        await context.confirmCircuitBreaker();
+
+        const html = document.getElementById('circuit-breaker-details').innerHTML + document.getElementById('status').innerHTML;
+        assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;: +3 / -0 (&lt;img src=x onerror=alert(1)&gt;)'));
+        assert.ok(!html.includes('<img'));
+    });
+});
+
+describe('audit trail', () => {
+    test('records who changed which list, with the Cloudflare request ID', async () => {
+        seedAccount([user('alice@example.com', 'high')], { medium: ['alice@example.com'] });
+        const env = createEnv();
+
+        await runScheduled(env);
+
+        const { status, json } = await callWorker(env, 'GET', '/api/audit', { email: 'viewer@example.com' });
+        assert.equal(status, 200);
+        const byList = Object.fromEntries(json.entries.map(entry => [entry.listKey, entry]));
+        assert.deepEqual(Object.keys(byList).sort(), ['high', 'medium']);
+        assert.equal(byList.high.actor, 'cron');
+        assert.equal(byList.high.method, 'PATCH');
+        assert.deepEqual(byList.high.added, ['alice@example.com']);
+        assert.deepEqual(byList.medium.removed, ['alice@example.com']);
+        assert.match(byList.high.reason, /scheduled sync: membership rule "high"/);
+        assert.match(byList.high.responseId, /-MCK$/);
+        assert.equal(byList.high.success, true);
+    });
+
+    test('filters by user, list and time range', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv();
+        await runScheduled(env);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const between = new Date().toISOString();
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        mock.setUsers(ACCOUNT_ID, [user('alice@example.com', 'high'), user('bob@example.com', 'low')]);
+        const manual = await callWorker(env, 'POST', '/api/update-risk-lists', { email: 'ops@example.com' });
+        assert.equal(manual.status, 200);
+
+        const alice = await callWorker(env, 'GET', '/api/audit?user=ALICE@example.com', { email: 'viewer@example.com' });
+        assert.deepEqual(alice.json.entries.map(entry => entry.listKey), ['high']);
+
+        const low = await callWorker(env, 'GET', `/api/audit?list=${LIST_IDS.low}`, { email: 'viewer@example.com' });
+        assert.equal(low.json.entries.length, 1);
+        assert.equal(low.json.entries[0].actor, 'ops@example.com');
+
+        const before = await callWorker(env, 'GET', `/api/audit?to=${encodeURIComponent(between)}`, { email: 'viewer@example.com' });
+        assert.deepEqual(before.json.entries.map(entry => entry.actor), ['cron']);
+        const since = await callWorker(env, 'GET', `/api/audit?from=${encodeURIComponent(between)}`, { email: 'viewer@example.com' });
+        assert.deepEqual(since.json.entries.map(entry => entry.actor), ['ops@example.com']);
+
+        const invalid = await callWorker(env, 'GET', '/api/audit?from=yesterday', { email: 'viewer@example.com' });
+        assert.equal(invalid.status, 400);
+    });
+
+    test('exports CSV and NDJSON', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'high')]);
+        const env = createEnv();
+        await runScheduled(env);
+
+        const csv = await callWorker(env, 'GET', '/api/audit?format=csv', { email: 'viewer@example.com' });
+        assert.equal(csv.status, 200);
+        const [header, row, ...rest] = csv.text.trim().split('\r\n');
+        assert.equal(header, 'timestamp,actor,method,list_key,list_id,list_name,added,removed,reason,run_id,success,status,response_id,errors');
+        assert.equal(rest.length, 0);
+        assert.match(row, new RegExp(`,cron,PATCH,high,${LIST_IDS.high},.*,alice@example.com;bob@example.com,,"scheduled sync: membership rule ""high""",`));
+
+        const ndjson = await callWorker(env, 'GET', '/api/audit?format=ndjson', { email: 'viewer@example.com' });
+        const lines = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(lines.length, 1);
+        assert.deepEqual(lines[0].added, ['alice@example.com', 'bob@example.com']);
+    });
+
+    test('keeps formula-like cells as text in the CSV export', async () => {
+        seedAccount([]);
+        const env = createEnv();
+        const added = await callWorker(env, 'POST', '/api/lists/high/members', {
+            email: 'ops@example.com',
+            body: { email: 'alice@example.com', reason: '=HYPERLINK("https://evil.example","IR-1")' }
+        });
+        assert.equal(added.status, 200);
+
+        const csv = await callWorker(env, 'GET', '/api/audit?format=csv', { email: 'viewer@example.com' });
+        assert.ok(csv.text.includes(',"\'=HYPERLINK(""https://evil.example"",""IR-1"")",'));
+    });
+});
+
+describe('risk change webhooks', () => {
+    const webhookEnv = () => createEnv({ WEBHOOK_TARGETS: JSON.stringify([{ url: `${mock.url}/webhooks/soc` }]) });
+
+    test('treats the first run as a baseline and notifies nobody', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'medium')]);
+
+        await runScheduled(webhookEnv());
+
+        assert.equal(requestsTo('/webhooks/soc').length, 0);
+    });
+
+    test('keeps an alert that reached no webhook and sends it on a later run', async () => {
+        seedAccount([user('alice@example.com', 'low')]);
+        const env = webhookEnv();
+        await runScheduled(env);
+
+        mock.setUsers(ACCOUNT_ID, [user('alice@example.com', 'high')]);
+        mock.inject({ method: 'POST', path: '/webhooks/soc', status: 400 });
+        await runScheduled(env);
+        assert.deepEqual(requestsTo('/webhooks/soc').map(r => r.status), [400]);
+        assert.equal(await env.USER_RISK_KV.get('webhook_sent_alice@example.com_low_high'), null);
+
+        await runScheduled(env);
+        assert.deepEqual(requestsTo('/webhooks/soc').map(r => r.status), [400, 200]);
+        assert.notEqual(await env.USER_RISK_KV.get('webhook_sent_alice@example.com_low_high'), null);
+        assert.equal(await env.USER_RISK_KV.get('webhook_pending'), null);
+
+        await runScheduled(env);
+        assert.equal(requestsTo('/webhooks/soc').length, 2);
+    });
+});
+
+describe('overrides', () => {
+    test('rejects emails that are not plain addresses and non-object bodies', async () => {
+        seedAccount([]);
+        const env = createEnv();
+
+        const hostile = await callWorker(env, 'POST', '/api/overrides', {
+            email: 'ops@example.com',
+            body: { email: '<img src=x onerror=alert(1)>@x', level: 'high', reason: 'probe' }
+        });
+        assert.equal(hostile.status, 400);
+
+        const nullBody = await callWorker(env, 'POST', '/api/overrides', { email: 'ops@example.com', body: 'null' });
+        assert.equal(nullBody.status, 400);
+        assert.equal(nullBody.json.message, 'Request body must be a JSON object');
+        assert.deepEqual([...env.USER_RISK_KV.store.keys()].filter(key => key.startsWith('override_')), []);
+    });
+
+    test('escapes user, override and hold fields on dashboard cards', async () => {
+        const { context, document } = await loadDashboard(createEnv());
+        const markup = '<img src=x onerror=alert(1)>';
+
+        context.displayUsers({
+            users: {
+                high: [{
+                    email: `${markup}@x`,
+                    effective_risk_level: 'high',
+                    protected_by: markup,
+                    override: { level: markup, author: markup, reason: `"${markup}`, expiresAt: new Date().toISOString() }
+                }, {
+                    email: 'held@example.com',
+                    user_id: markup,
+                    max_risk_level: 'medium',
+                    held: { level: markup, scored_level: markup, lower_readings: markup, required_readings: 3, release_after: new Date().toISOString() }
+                }]
+            },
+            protectedUsers: []
+        }, 'all');
+
+        const html = document.getElementById('user-details').innerHTML;
+        assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;@x'));
+        assert.ok(!html.includes('<img'));
+    });
+});
+
+describe('membership export', () => {
+    test('exports every user with their levels and flags Gateway mismatches as CSV', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'medium')], {
+            high: ['alice@example.com'],
+            low: ['bob@example.com', 'stale@example.com']
+        });
+
+        const { status, text } = await callWorker(createEnv(), 'GET', '/api/export/users', { email: 'viewer@example.com' });
+
+        assert.equal(status, 200);
+        const [header, ...rows] = text.trim().split('\r\n');
+        assert.equal(header, 'email,name,user_id,risk_level,effective_level,event_count,last_event,protected_by,override_level,expected_lists,gateway_lists,mismatch,missing_from,unexpected_in');
+        const byEmail = Object.fromEntries(rows.map(row => [row.split(',')[0], row.split(',')]));
+        assert.deepEqual(Object.keys(byEmail), ['alice@example.com', 'bob@example.com', 'stale@example.com']);
+        assert.deepEqual(byEmail['alice@example.com'].slice(9), ['high', 'high', 'false', '', '']);
+        assert.deepEqual(byEmail['bob@example.com'].slice(9), ['medium', 'low', 'true', 'medium', 'low']);
+        assert.deepEqual(byEmail['stale@example.com'].slice(3, 5), ['', '']);
+        assert.deepEqual(byEmail['stale@example.com'].slice(9), ['', 'low', 'true', '', 'low']);
+    });
+
+    test('keeps formula-like emails and names as text in the CSV export', async () => {
+        seedAccount([user('=cmd|calc@example.com', 'high', { name: '+SUM(A1)' })]);
+
+        const { status, text } = await callWorker(createEnv(), 'GET', '/api/export/users', { email: 'viewer@example.com' });
+
+        assert.equal(status, 200);
+        const row = text.trim().split('\r\n')[1].split(',');
+        assert.deepEqual(row.slice(0, 2), ["'=cmd|calc@example.com", "'+SUM(A1)"]);
+    });
+
+    test('exports list membership as NDJSON', async () => {
+        seedAccount([user('alice@example.com', 'high')], { high: ['bob@example.com'] });
+
+        const { status, text } = await callWorker(createEnv(), 'GET', '/api/export/lists?format=ndjson', { email: 'viewer@example.com' });
+
+        assert.equal(status, 200);
+        const rows = text.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(rows.map(row => [row.list_key, row.email, row.expected, row.in_gateway, row.mismatch]), [
+            ['high', 'alice@example.com', true, false, true],
+            ['high', 'bob@example.com', false, true, true]
+        ]);
+    });
+
+    test('refuses to export when a Gateway list cannot be read', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        mock.inject({ method: 'GET', path: `/gateway/lists/${LIST_IDS.low}/items`, status: 403 });
+
+        const response = await callWorker(createEnv(), 'GET', '/api/export/users?format=csv', { email: 'viewer@example.com' });
+        assert.equal(response.status, 502);
+
+        const invalid = await callWorker(createEnv(), 'GET', '/api/export/users?format=xlsx', { email: 'viewer@example.com' });
+        assert.equal(invalid.status, 400);
+    });
+});
+
+describe('user drill-down', () => {
+    test('returns the user events newest first with their Gateway list membership', async () => {
+        const events = [
+            { id: 'evt-1', name: 'Impossible travel', risk_level: 'medium', timestamp: '2026-01-01T10:00:00Z', event_details: { country: 'NZ' } },
+            { id: 'evt-2', name: 'DLP match', risk_level: 'high', timestamp: '2026-01-02T10:00:00Z' }
+        ];
+        seedAccount([user('alice@example.com', 'high', { events })]);
+        const env = createEnv();
+        await runScheduled(env);
+        // Drift made by hand in Gateway after the sync
+        seedAccount([user('alice@example.com', 'high', { events })], { medium: ['alice@example.com'] });
+
+        const { status, json } = await callWorker(env, 'GET', `/api/users/${encodeURIComponent('id-alice@example.com')}`, { email: 'viewer@example.com' });
+
+        assert.equal(status, 200);
+        assert.equal(json.user.email, 'alice@example.com');
+        assert.equal(json.user.risk_level, 'high');
+        assert.deepEqual(json.events.map(event => [event.id, event.behavior, event.risk_level]), [
+            ['evt-2', 'DLP match', 'high'],
+            ['evt-1', 'Impossible travel', 'medium']
+        ]);
+        assert.deepEqual(json.events[1].details, { country: 'NZ' });
+        assert.deepEqual(json.lists.high, { listName: 'High Risk Users - New', listId: LIST_IDS.high, expected: true, inGateway: false, error: null });
+        assert.equal(json.lists.medium.expected, false);
+        assert.equal(json.lists.medium.inGateway, true);
+    });
+
+    test('returns 404 for an unknown user', async () => {
+        seedAccount([]);
+
+        const { status } = await callWorker(createEnv(), 'GET', '/api/users/missing-user', { email: 'viewer@example.com' });
+
+        assert.equal(status, 404);
+    });
+});
+
+describe('risk reset', () => {
+    test('resets the score, logs who did it and why, and syncs the user out of the elevated lists', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv({ DEESCALATION_DWELL_HOURS: '24' });
+        await runScheduled(env);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+
+        const { status, json } = await callWorker(env, 'POST', `/api/users/${encodeURIComponent('id-alice@example.com')}/reset-risk`, {
+            email: 'ops@example.com',
+            body: { reason: 'False positive confirmed in INC-42' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(json.success, true);
+        assert.equal(requestsTo('/zt_risk_scoring/id-alice%40example.com/reset').length, 1);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), []);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.low), ['alice@example.com']);
+
+        const resets = await callWorker(env, 'GET', '/api/risk-resets?user=alice@example.com', { email: 'viewer@example.com' });
+        assert.equal(resets.json.resets.length, 1);
+        assert.equal(resets.json.resets[0].actor, 'ops@example.com');
+        assert.equal(resets.json.resets[0].reason, 'False positive confirmed in INC-42');
+        assert.equal(resets.json.resets[0].previousLevel, 'high');
+        assert.equal(resets.json.resets[0].runId, json.reset.runId);
+
+        const runs = await callWorker(env, 'GET', '/api/runs?trigger=reset-risk', { email: 'viewer@example.com' });
+        assert.equal(runs.json.runs.length, 1);
+        assert.equal(runs.json.runs[0].actor, 'ops@example.com');
+    });
+
+    test('logs the reset and reports it as partial when the follow-up sync fails', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv();
+        mock.inject({ method: 'GET', path: '/zt_risk_scoring/summary', status: 429, retryAfter: 0, times: 3 });
+
+        const { status, json } = await callWorker(env, 'POST', `/api/users/${encodeURIComponent('id-alice@example.com')}/reset-risk`, {
+            email: 'ops@example.com',
+            body: { reason: 'False positive' }
+        });
+
+        assert.equal(status, 500);
+        assert.equal(json.partial, true);
+        assert.equal(requestsTo('/reset').length, 1);
+        const resets = await callWorker(env, 'GET', '/api/risk-resets', { email: 'viewer@example.com' });
+        assert.deepEqual(resets.json.resets.map(reset => [reset.actor, reset.reason, reset.success]), [['ops@example.com', 'False positive', true]]);
+        assert.equal(await env.USER_RISK_KV.get('sync_lock'), null);
+    });
+
+    test('refuses to reset while a sync holds the run lock, so the sync cannot restore the dwell state', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv({ DEESCALATION_DWELL_HOURS: '24' });
+        await runScheduled(env);
+        const dwellState = await env.USER_RISK_KV.get('user_dwell_state');
+        await env.USER_RISK_KV.put('sync_lock', JSON.stringify({ runId: 'running', trigger: 'scheduled', actor: 'cron', acquiredAt: new Date().toISOString() }));
+
+        const { status, json } = await callWorker(env, 'POST', `/api/users/${encodeURIComponent('id-alice@example.com')}/reset-risk`, {
+            email: 'ops@example.com',
+            body: { reason: 'False positive' }
+        });
+
+        assert.equal(status, 409);
+        assert.equal(json.lock.runId, 'running');
+        assert.equal(requestsTo('/reset').length, 0);
+        assert.equal(await env.USER_RISK_KV.get('user_dwell_state'), dwellState);
+        assert.equal(JSON.parse(await env.USER_RISK_KV.get('sync_lock')).runId, 'running');
+    });
+
+    test('requires a reason and the operator role', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        const env = createEnv();
+        const path = `/api/users/${encodeURIComponent('id-alice@example.com')}/reset-risk`;
+
+        const missingReason = await callWorker(env, 'POST', path, { email: 'ops@example.com', body: {} });
+        assert.equal(missingReason.status, 400);
+        const nullBody = await callWorker(env, 'POST', path, { email: 'ops@example.com', body: 'null' });
+        assert.equal(nullBody.status, 400);
+
+        const viewer = await callWorker(env, 'POST', path, { email: 'viewer@example.com', body: { reason: 'test' } });
+        assert.equal(viewer.status, 403);
+        assert.equal(requestsTo('/reset').length, 0);
+    });
+});
+
+describe('risk behaviors', () => {
+    test('lists behaviors and applies partial updates, logging who changed what', async () => {
+        seedAccount([]);
+        const env = createEnv();
+
+        const list = await callWorker(env, 'GET', '/api/risk-behaviors', { email: 'viewer@example.com' });
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.json.behaviors.map(behavior => [behavior.id, behavior.enabled, behavior.risk_level]), [
+            ['high_dlp', true, 'medium'],
+            ['imp_travel', true, 'high'],
+            ['sentinel_one', false, 'low']
+        ]);
+
+        const { status, json } = await callWorker(env, 'PUT', '/api/risk-behaviors', {
+            email: 'ops@example.com',
+            body: { behaviors: { sentinel_one: { enabled: true }, imp_travel: { risk_level: 'high' } }, reason: 'Roll out EDR signal' }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(json.change.changes.map(change => [change.behavior, change.field, change.from, change.to]), [
+            ['sentinel_one', 'enabled', false, true]
+        ]);
+        assert.deepEqual(json.behaviors.map(behavior => [behavior.id, behavior.enabled, behavior.risk_level]), [
+            ['high_dlp', true, 'medium'],
+            ['imp_travel', true, 'high'],
+            ['sentinel_one', true, 'low']
+        ]);
+
+        const changes = await callWorker(env, 'GET', '/api/risk-behaviors/changes', { email: 'viewer@example.com' });
+        assert.equal(changes.json.changes.length, 1);
+        assert.equal(changes.json.changes[0].actor, 'ops@example.com');
+        assert.equal(changes.json.changes[0].reason, 'Roll out EDR signal');
+    });
+
+    test('rejects unknown behaviors and invalid levels without calling the API', async () => {
+        seedAccount([]);
+        const env = createEnv();
+
+        const unknown = await callWorker(env, 'PUT', '/api/risk-behaviors', { email: 'ops@example.com', body: { behaviors: { nope: { enabled: true } } } });
+        assert.equal(unknown.status, 400);
+        const invalid = await callWorker(env, 'PUT', '/api/risk-behaviors', { email: 'ops@example.com', body: { behaviors: { high_dlp: { risk_level: 'severe' } } } });
+        assert.equal(invalid.status, 400);
+        const nullUpdate = await callWorker(env, 'PUT', '/api/risk-behaviors', { email: 'ops@example.com', body: { behaviors: { high_dlp: null } } });
+        assert.equal(nullUpdate.status, 400);
+        const nullBody = await callWorker(env, 'PUT', '/api/risk-behaviors', { email: 'ops@example.com', body: 'null' });
+        assert.equal(nullBody.status, 400);
+        const viewer = await callWorker(env, 'PUT', '/api/risk-behaviors', { email: 'viewer@example.com', body: { behaviors: { high_dlp: { enabled: false } } } });
+        assert.equal(viewer.status, 403);
+
+        assert.equal(requestsTo('/zt_risk_scoring/behaviors').filter(request => request.method === 'PUT').length, 0);
+    });
+});
+
+describe('single-user list membership', () => {
+    test('adds a user against the rule with PATCH and keeps them through the next sync', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'low')]);
+        const env = createEnv();
+        await runScheduled(env);
+
+        const { status, json } = await callWorker(env, 'POST', '/api/lists/high/members', {
+            email: 'ops@example.com',
+            body: { email: 'Bob@Example.com', reason: 'IR-7 containment' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(json.verified, true);
+        assert.deepEqual(json.members, ['alice@example.com', 'bob@example.com']);
+        assert.equal(json.pinned.action, 'add');
+        assert.equal(json.audit.reason, 'IR-7 containment');
+        assert.equal(requestsTo(`/gateway/lists/${LIST_IDS.high}`).filter(request => request.method === 'DELETE' || request.method === 'PUT').length, 0);
+
+        await runScheduled(env);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com', 'bob@example.com']);
+    });
+
+    test('removes a user and clears their pin when the change matches the rule', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'low')]);
+        const env = createEnv();
+        await runScheduled(env);
+        await callWorker(env, 'POST', '/api/lists/high/members', { email: 'ops@example.com', body: { email: 'bob@example.com' } });
+
+        const removeBob = await callWorker(env, 'DELETE', '/api/lists/high/members/bob@example.com', { email: 'ops@example.com' });
+        assert.equal(removeBob.status, 200);
+        assert.equal(removeBob.json.pinned, null);
+        assert.deepEqual(removeBob.json.members, ['alice@example.com']);
+
+        const removeAlice = await callWorker(env, 'DELETE', '/api/lists/high/members/alice@example.com?reason=False%20positive', { email: 'ops@example.com' });
+        assert.equal(removeAlice.json.pinned.action, 'remove');
+        assert.deepEqual(removeAlice.json.members, []);
+
+        await runScheduled(env);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), []);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.low), ['bob@example.com']);
+    });
+
+    test('rejects unknown lists, invalid bodies, protected users and viewers', async () => {
+        seedAccount([]);
+        const env = createEnv({ PROTECTED_USERS: 'breakglass@example.com' });
+
+        const unknown = await callWorker(env, 'POST', '/api/lists/critical/members', { email: 'ops@example.com', body: { email: 'bob@example.com' } });
+        assert.equal(unknown.status, 404);
+        const protectedUser = await callWorker(env, 'POST', '/api/lists/high/members', { email: 'ops@example.com', body: { email: 'breakglass@example.com' } });
+        assert.equal(protectedUser.status, 409);
+        const nullBody = await callWorker(env, 'POST', '/api/lists/high/members', { email: 'ops@example.com', body: 'null' });
+        assert.equal(nullBody.status, 400);
+        const markup = await callWorker(env, 'POST', '/api/lists/high/members', { email: 'ops@example.com', body: { email: '<b>bob</b>@example.com' } });
+        assert.equal(markup.status, 400);
+        const viewer = await callWorker(env, 'DELETE', '/api/lists/high/members/bob@example.com', { email: 'viewer@example.com' });
+        assert.equal(viewer.status, 403);
+
+        assert.equal(mock.requests.filter(request => request.method === 'PATCH').length, 0);
+    });
+
+    test('drops a pinned addition once the user becomes protected', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'low')]);
+        const env = createEnv();
+        await runScheduled(env);
+        await callWorker(env, 'POST', '/api/lists/high/members', { email: 'ops@example.com', body: { email: 'bob@example.com' } });
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com', 'bob@example.com']);
+
+        await runScheduled({ ...env, PROTECTED_PATTERNS: 'bob@*' });
+
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.low), []);
+    });
+
+    test('lets a pin lapse at its expiry', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'low')]);
+        const env = createEnv();
+        await runScheduled(env);
+
+        const tooLong = await callWorker(env, 'POST', '/api/lists/high/members', { email: 'ops@example.com', body: { email: 'bob@example.com', duration_hours: 10000 } });
+        assert.equal(tooLong.status, 400);
+        const added = await callWorker(env, 'POST', '/api/lists/high/members', { email: 'ops@example.com', body: { email: 'bob@example.com', duration_hours: 2 } });
+        assert.equal(added.status, 200);
+
+        const { json } = await callWorker(env, 'GET', '/api/lists/pins', { email: 'viewer@example.com' });
+        assert.deepEqual(json.pins.map(pin => [pin.listKey, pin.email, pin.action, pin.author]), [['high', 'bob@example.com', 'add', 'ops@example.com']]);
+        assert.ok(Math.abs(Date.parse(json.pins[0].expiresAt) - Date.now() - 2 * 3600 * 1000) < 60 * 1000);
+
+        // Move the expiry into the past instead of waiting for it
+        const pins = await env.USER_RISK_KV.get('list_member_pins', 'json');
+        pins.high['bob@example.com'].expiresAt = new Date(Date.now() - 1000).toISOString();
+        await env.USER_RISK_KV.put('list_member_pins', JSON.stringify(pins));
+
+        await runScheduled(env);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+        assert.deepEqual((await callWorker(env, 'GET', '/api/lists/pins', { email: 'viewer@example.com' })).json.pins, []);
+    });
+
+    test('clears a pin so the next sync applies the membership rule', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'low')]);
+        const env = createEnv();
+        await runScheduled(env);
+        await callWorker(env, 'DELETE', '/api/lists/high/members/alice@example.com?reason=False%20positive', { email: 'ops@example.com' });
+
+        const viewer = await callWorker(env, 'DELETE', '/api/lists/high/pins/alice@example.com', { email: 'viewer@example.com' });
+        assert.equal(viewer.status, 403);
+        const cleared = await callWorker(env, 'DELETE', '/api/lists/high/pins/Alice@example.com', { email: 'ops@example.com' });
+        assert.equal(cleared.status, 200);
+        assert.equal(cleared.json.pin.action, 'remove');
+        const again = await callWorker(env, 'DELETE', '/api/lists/high/pins/alice@example.com', { email: 'ops@example.com' });
+        assert.equal(again.status, 404);
+
+        await runScheduled(env);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.high), ['alice@example.com']);
+    });
+
+    test('escapes pins in the dashboard view', async () => {
+        const { context, document } = await loadDashboard(createEnv());
+        const markup = '<img src=x onerror=alert(1)>';
+        context.fetch = async () => ({
+            json: async () => ({ success: true, pins: [{ listKey: markup, email: markup, action: 'add', author: markup, reason: markup, expiresAt: new Date().toISOString() }] })
+        });
+
+        await context.loadListPins();
+
+        const html = document.getElementById('user-details').innerHTML;
+        assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+        assert.ok(!html.includes('<img'));
+    });
+});
+
+describe('self-healing list provisioning', () => {
+    test('recreates a deleted list, persists its ID and reports it in health', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        mock.setAccount(ACCOUNT_ID, {
+            lists: [
+                { id: LIST_IDS.medium, name: 'medium risk users', type: 'EMAIL' },
+                { id: LIST_IDS.low, name: 'low risk users', type: 'EMAIL' }
+            ]
+        });
+        const env = createEnv({ AUTO_PROVISION_LISTS: 'true' });
+
+        await runScheduled(env);
+
+        const { json: health } = await callWorker(env, 'GET', '/api/health', { email: 'viewer@example.com' });
+        assert.equal(health.gateway_lists.problems.length, 0);
+        assert.equal(health.gateway_lists.recreated.length, 1);
+        const [recreated] = health.gateway_lists.recreated;
+        assert.equal(recreated.key, 'high');
+        assert.equal(recreated.previousId, LIST_IDS.high);
+        assert.equal(recreated.action, 'created');
+        assert.notEqual(recreated.id, LIST_IDS.high);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, recreated.id), ['alice@example.com']);
+
+        await runScheduled(env);
+        assert.equal(mock.requests.filter(request => request.method === 'POST' && request.path.endsWith('/gateway/lists')).length, 1);
+        const { json: lists } = await callWorker(env, 'GET', '/api/gateway-lists', { email: 'viewer@example.com' });
+        assert.equal(lists.lists.high.listId, recreated.id);
+    });
+
+    test('adopts an existing list of the expected name when no list ID is configured', async () => {
+        seedAccount([user('bob@example.com', 'medium')]);
+        mock.setAccount(ACCOUNT_ID, {
+            lists: [
+                { id: LIST_IDS.high, name: 'High Risk Users - New', type: 'EMAIL' },
+                { id: LIST_IDS.medium, name: 'Medium Risk Users - New', type: 'EMAIL' },
+                { id: LIST_IDS.low, name: 'Low Risk Users - New', type: 'EMAIL' }
+            ]
+        });
+        const env = createEnv({ AUTO_PROVISION_LISTS: 'true', HIGH_RISK_LIST_ID: undefined, MEDIUM_RISK_LIST_ID: undefined, LOW_RISK_LIST_ID: undefined });
+
+        await runScheduled(env);
+
+        const { json: health } = await callWorker(env, 'GET', '/api/health', { email: 'viewer@example.com' });
+        assert.deepEqual(health.gateway_lists.recreated.map(list => [list.key, list.action, list.id]), [
+            ['high', 'adopted', LIST_IDS.high],
+            ['medium', 'adopted', LIST_IDS.medium],
+            ['low', 'adopted', LIST_IDS.low]
+        ]);
+        assert.deepEqual(mock.listEmails(ACCOUNT_ID, LIST_IDS.medium), ['bob@example.com']);
+    });
+
+    test('refuses to sync to a list of the wrong type without auto-provisioning', async () => {
+        seedAccount([user('alice@example.com', 'high')]);
+        mock.setAccount(ACCOUNT_ID, {
+            lists: [
+                { id: LIST_IDS.high, name: 'high risk users', type: 'DOMAIN' },
+                { id: LIST_IDS.medium, name: 'medium risk users', type: 'EMAIL' },
+                { id: LIST_IDS.low, name: 'low risk users', type: 'EMAIL' }
+            ]
+        });
+        const env = createEnv();
+
+        await runScheduled(env);
+
+        assert.equal(mock.requests.filter(request => request.method === 'PATCH').length, 0);
+        const { status, json: health } = await callWorker(env, 'GET', '/api/health', { email: 'viewer@example.com' });
+        assert.equal(status, 503);
+        assert.deepEqual(health.gateway_lists.problems.map(problem => [problem.key, problem.problem]), [['high', 'list type is DOMAIN, expected EMAIL']]);
+    });
+
+    test('aborts the run with a recorded error when the Gateway lists cannot be listed', async () => {
+        seedAccount([user('alice@example.com', 'high'), user('bob@example.com', 'low')]);
+        mock.inject({ method: 'GET', path: '/gateway/lists', status: 403 });
+        const env = createEnv({ HIGH_RISK_LIST_ID: 'not-a-list-id', AUTO_PROVISION_LISTS: 'true' });
+
+        await runScheduled(env);
+
+        assert.equal(mock.requests.filter(request => request.method !== 'GET').length, 0);
+        assert.deepEqual([...env.USER_RISK_KV.store.keys()].filter(key => key.startsWith('gateway_list_')), []);
+        const { json } = await callWorker(env, 'GET', '/api/runs', { email: 'viewer@example.com' });
+        assert.equal(json.runs[0].outcome, 'failed');
+        assert.match(json.runs[0].errors[0], /^Failed to list Gateway lists/);
+    });
+
+    test('escapes list names, IDs and rules in the dashboard view', async () => {
+        const { context, document } = await loadDashboard(createEnv());
+        const markup = '<img src=x onerror=alert(1)>';
+        context.fetch = async () => ({
+            json: async () => ({ success: true, lists: { high: { listName: markup, listId: markup, rule: markup, items: [] } }, summary: { total: 0 } })
+        });
+
+        await context.loadGatewayLists();
+
+        const html = document.getElementById('user-details').innerHTML;
+        assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+        assert.ok(!html.includes('<img'));
+    });
+});
+
+describe('policy bootstrap', () => {
+    test('previews the templates, then creates them once and leaves them alone on a second run', async () => {
+        seedAccount([]);
+        const env = createEnv();
+
+        const preview = await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com' });
+        assert.equal(preview.status, 200);
+        assert.equal(preview.json.applied, false);
+        assert.deepEqual(preview.json.plan.map(item => item.action), ['create', 'create', 'create', 'create', 'create', 'create']);
+        assert.equal(mock.gatewayRules(ACCOUNT_ID).length, 0);
+
+        const applied = await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com', body: { apply: true } });
+        assert.equal(applied.status, 200);
+        const rules = mock.gatewayRules(ACCOUNT_ID);
+        assert.equal(rules.length, 3);
+        const isolate = rules.find(rule => rule.name.includes('[ueba:http-isolate-high]'));
+        assert.equal(isolate.action, 'isolate');
+        assert.equal(isolate.identity, `identity.email in $${LIST_IDS.high}`);
+        assert.equal(isolate.enabled, true);
+        const elevated = mock.accessGroups(ACCOUNT_ID).find(group => group.name.includes('[ueba:access-group-elevated]'));
+        assert.deepEqual(elevated.include, [{ email_list: { id: LIST_IDS.high } }, { email_list: { id: LIST_IDS.medium } }]);
+
+        const writesBefore = mock.requests.filter(request => request.method !== 'GET').length;
+        const again = await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com', body: { apply: true } });
+        assert.deepEqual(again.json.plan.map(item => item.action), ['unchanged', 'unchanged', 'unchanged', 'unchanged', 'unchanged', 'unchanged']);
+        assert.equal(mock.requests.filter(request => request.method !== 'GET').length, writesBefore);
+    });
+
+    test('updates a tagged rule edited by hand but keeps its enabled state', async () => {
+        seedAccount([]);
+        const env = createEnv();
+        await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com', body: { apply: true, templates: ['http-isolate-high'] } });
+        const [rule] = mock.gatewayRules(ACCOUNT_ID);
+        Object.assign(rule, { identity: 'identity.email == "someone@example.com"', enabled: false });
+
+        const preview = await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com', body: { templates: ['http-isolate-high'] } });
+        assert.deepEqual(preview.json.plan.map(item => [item.action, item.changedFields]), [['update', ['identity']]]);
+
+        await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com', body: { apply: true, templates: ['http-isolate-high'] } });
+        const [updated] = mock.gatewayRules(ACCOUNT_ID);
+        assert.equal(updated.id, rule.id);
+        assert.equal(updated.identity, `identity.email in $${LIST_IDS.high}`);
+        assert.equal(updated.enabled, false);
+    });
+
+    test('skips templates whose lists are not mapped and rejects unknown templates and invalid bodies', async () => {
+        seedAccount([]);
+        const env = createEnv({ RISK_LIST_MAPPING: JSON.stringify([{ key: 'high', name: 'High', id: LIST_IDS.high, rule: 'high' }]) });
+
+        const preview = await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com' });
+        assert.deepEqual(preview.json.plan.filter(item => item.action === 'skipped').map(item => item.template), [
+            'http-block-uploads-elevated', 'access-group-medium', 'access-group-elevated'
+        ]);
+
+        const unknown = await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com', body: { templates: ['nope'] } });
+        assert.equal(unknown.status, 400);
+        const nullBody = await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'ops@example.com', body: 'null' });
+        assert.equal(nullBody.status, 400);
+        const viewer = await callWorker(env, 'POST', '/api/policies/bootstrap', { email: 'viewer@example.com' });
+        assert.equal(viewer.status, 403);
+    });
+});
+
+// Kept last: it warms the per-isolate Access key cache that earlier request-count assertions expect to be cold
+describe('Access token verification', () => {
+    test('refetches Access certs for unknown key IDs at most once per minute', async () => {
+        const env = createEnv();
+        const token = await mock.signAccessToken({ email: 'ops@example.com', aud: [ACCESS_AUD] });
+        const [, payload, signature] = token.split('.');
+
+        for (let i = 0; i < 3; i++) {
+            const header = Buffer.from(JSON.stringify({ alg: 'RS256', kid: `unknown-${i}`, typ: 'JWT' })).toString('base64url');
+            const response = await worker.fetch(
+                new Request('https://ueba.example.com/api/health', { headers: { 'Cf-Access-Jwt-Assertion': `${header}.${payload}.${signature}` } }),
+                env,
+                { waitUntil() {} }
+            );
+            assert.equal(response.status, 403);
+        }
+        assert.ok(requestsTo('/cdn-cgi/access/certs').length <= 2); // the cold cache fill plus at most one forced refresh
+    });
+});
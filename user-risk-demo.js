@@ -12,7 +12,7 @@ export default {
 
     // This function runs according to the cron schedule
     async scheduled(event, env, ctx) {
-        await handleRequest('notfetch', env);
+        await handleScheduled(env);
     }
 };
 
@@ -36,349 +36,2456 @@ function validateEnvironmentVariables(env) {
     }
 }
 
+function isValidListId(listId) {
+    return Boolean(listId) && /^[a-f0-9-]{36}$/i.test(listId);
+}
+
 function validateListId(listId, listName) {
-    if (!listId || !/^[a-f0-9-]{36}$/i.test(listId)) {
+    if (!isValidListId(listId)) {
         throw new Error(`Invalid ${listName} list ID format`);
     }
 }
 
-async function handleRequest(request, env) {
-    // Validate environment variables first
+// Read a numeric setting from the environment, falling back to the default when unset or invalid
+function getNumberSetting(env, name, defaultValue) {
+    const value = Number(env[name]);
+    return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+function getPositiveIntegerSetting(env, name, defaultValue) {
+    const value = Number(env[name]);
+    return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+function getBooleanSetting(env, name) {
+    return ['true', '1', 'yes'].includes(String(env[name] || '').trim().toLowerCase());
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Gateway EMAIL list items: an RFC 5322 dot-atom local part and a dotted hostname. Applied to normalized
+// (lowercased) emails, and strict enough that markup never reaches KV, lists or the dashboard.
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+$/;
+
+function isValidEmail(email) {
+    return email.length <= 254 && EMAIL_PATTERN.test(email);
+}
+
+// Cloudflare Access signing keys, cached per isolate so every request doesn't refetch the certs
+let accessKeyCache = { teamUrl: null, keys: null, fetchedAt: 0 };
+const ACCESS_KEY_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+// Unknown key IDs force a refetch, at most once per interval so unauthenticated callers can't fan out certs requests
+const ACCESS_KEY_FORCED_REFRESH_INTERVAL = 60 * 1000; // 1 minute
+let accessKeyForcedRefreshAt = 0;
+
+function getAccessTeamUrl(env) {
+    const teamDomain = env.ACCESS_TEAM_DOMAIN.trim().replace(/\/+$/, '');
+    return /^https?:\/\//i.test(teamDomain) ? teamDomain : `https://${teamDomain}`;
+}
+
+function base64UrlToBytes(input) {
+    const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function decodeJwtSegment(segment) {
+    return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+}
+
+async function getAccessSigningKeys(teamUrl, forceRefresh = false) {
+    const cacheValid = accessKeyCache.teamUrl === teamUrl && Date.now() - accessKeyCache.fetchedAt < ACCESS_KEY_CACHE_TTL;
+    if (cacheValid && !forceRefresh) {
+        return accessKeyCache.keys;
+    }
+
+    const response = await makeApiRequest(`${teamUrl}/cdn-cgi/access/certs`, { method: 'GET' });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch Access certs: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const keys = new Map();
+    for (const jwk of data.keys || []) {
+        const key = await crypto.subtle.importKey(
+            'jwk',
+            jwk,
+            { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+            false,
+            ['verify']
+        );
+        keys.set(jwk.kid, key);
+    }
+
+    accessKeyCache = { teamUrl, keys, fetchedAt: Date.now() };
+    return keys;
+}
+
+// Verify a Cf-Access-Jwt-Assertion token and return its claims
+async function verifyAccessJwt(token, env) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+        throw new Error('Malformed Access token');
+    }
+
+    const [headerSegment, payloadSegment, signatureSegment] = segments;
+    const header = decodeJwtSegment(headerSegment);
+    const payload = decodeJwtSegment(payloadSegment);
+
+    if (header.alg !== 'RS256') {
+        throw new Error(`Unsupported Access token algorithm: ${header.alg}`);
+    }
+
+    const teamUrl = getAccessTeamUrl(env);
+    let keys = await getAccessSigningKeys(teamUrl);
+    if (!keys.has(header.kid) && Date.now() - accessKeyForcedRefreshAt >= ACCESS_KEY_FORCED_REFRESH_INTERVAL) {
+        // Access rotates its signing keys, so refetch once before rejecting an unknown key ID
+        accessKeyForcedRefreshAt = Date.now();
+        keys = await getAccessSigningKeys(teamUrl, true);
+    }
+
+    const key = keys.get(header.kid);
+    if (!key) {
+        throw new Error('Access token signed with an unknown key');
+    }
+
+    const signatureValid = await crypto.subtle.verify(
+        'RSASSA-PKCS1-v1_5',
+        key,
+        base64UrlToBytes(signatureSegment),
+        new TextEncoder().encode(`${headerSegment}.${payloadSegment}`)
+    );
+    if (!signatureValid) {
+        throw new Error('Invalid Access token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!payload.exp || payload.exp < now) {
+        throw new Error('Access token has expired');
+    }
+    if (payload.nbf && payload.nbf > now + 60) { // Allow one minute of clock skew
+        throw new Error('Access token is not yet valid');
+    }
+    if (payload.iss !== teamUrl) {
+        throw new Error('Access token issuer does not match ACCESS_TEAM_DOMAIN');
+    }
+
+    const allowedAudiences = env.ACCESS_AUD.split(',').map(aud => aud.trim()).filter(Boolean);
+    const tokenAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!tokenAudiences.some(aud => allowedAudiences.includes(aud))) {
+        throw new Error('Access token audience does not match ACCESS_AUD');
+    }
+
+    return payload;
+}
+
+// Authenticate a fetch request against Cloudflare Access and return the caller identity
+async function authenticateRequest(request, env) {
+    if (!env.ACCESS_TEAM_DOMAIN || !env.ACCESS_AUD) {
+        return {
+            success: false,
+            status: 500,
+            error: 'Configuration error',
+            message: 'Missing Cloudflare Access configuration: ACCESS_TEAM_DOMAIN and ACCESS_AUD must be set'
+        };
+    }
+
+    const token = request.headers.get('Cf-Access-Jwt-Assertion');
+    if (!token) {
+        return {
+            success: false,
+            status: 401,
+            error: 'Unauthorized',
+            message: 'Missing Cf-Access-Jwt-Assertion header'
+        };
+    }
+
     try {
-        validateEnvironmentVariables(env);
+        const claims = await verifyAccessJwt(token, env);
+        const identity = {
+            // Service tokens carry a common_name (the client ID) instead of an email
+            type: claims.email ? 'user' : 'service',
+            email: claims.email || null,
+            commonName: claims.common_name || null,
+            subject: claims.sub || null,
+            claims
+        };
+        identity.role = resolveRole(identity, env);
+        identity.permissions = identity.role ? ROLE_PERMISSIONS[identity.role] : [];
+
+        return { success: true, identity };
     } catch (error) {
-        console.error('Configuration validation failed:', error.message);
-        if (request !== 'notfetch') {
-            return new Response(JSON.stringify({
-                error: 'Configuration error',
-                message: error.message
-            }), {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' }
-            });
-        }
-        return;
+        console.warn('Access token rejected:', error.message);
+        return {
+            success: false,
+            status: 403,
+            error: 'Forbidden',
+            message: error.message
+        };
     }
-    
-    // Inputs for Cloudflare API calls
-    const accountId = env.CLOUDFLARE_ACCOUNT_ID;
-    const apiToken = env.CLOUDFLARE_API_TOKEN;
-    
-    // Gateway List IDs for risk categorization
-    // These must be set via environment variables or wrangler secrets
-    const highRiskListId = env.HIGH_RISK_LIST_ID;
-    const mediumRiskListId = env.MEDIUM_RISK_LIST_ID;
-    const lowRiskListId = env.LOW_RISK_LIST_ID;
-    
-    // Validate that list IDs are configured
-    if (!highRiskListId || !mediumRiskListId || !lowRiskListId) {
-        const missingLists = [];
-        if (!highRiskListId) missingLists.push('HIGH_RISK_LIST_ID');
-        if (!mediumRiskListId) missingLists.push('MEDIUM_RISK_LIST_ID');
-        if (!lowRiskListId) missingLists.push('LOW_RISK_LIST_ID');
-        
-        console.error('Missing Gateway List IDs:', missingLists.join(', '));
-        if (request !== 'notfetch') {
-            return new Response(JSON.stringify({
-                error: 'Configuration error',
-                message: `Missing Gateway List IDs: ${missingLists.join(', ')}. Please set these via wrangler secrets or create new lists using /api/create-new-lists`
-            }), {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' }
-            });
-        }
-        return;
+}
+
+// Human-readable actor name used when attributing actions
+function describeIdentity(identity) {
+    if (!identity) return 'cron';
+    return identity.email || identity.commonName || identity.subject || 'unknown';
+}
+
+// Role-based authorization: viewers can read, operators can also change Gateway lists and KV state
+const ROLE_PERMISSIONS = {
+    viewer: ['read'],
+    operator: ['read', 'operate']
+};
+
+function parseCommaList(value) {
+    return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Group claims are only present when the IdP passes them through to the Access token
+function getIdentityGroups(identity) {
+    const claims = identity.claims || {};
+    const groups = claims.groups || claims.custom?.groups || [];
+    return (Array.isArray(groups) ? groups : [groups])
+        .map(group => String(typeof group === 'object' ? (group.name || group.id) : group).toLowerCase());
+}
+
+function resolveRole(identity, env) {
+    const principal = (identity.email || identity.commonName || '').toLowerCase();
+    const groups = getIdentityGroups(identity);
+    const matches = (emailsVar, groupsVar) =>
+        parseCommaList(env[emailsVar]).includes(principal) ||
+        parseCommaList(env[groupsVar]).some(group => groups.includes(group));
+
+    if (matches('OPERATOR_EMAILS', 'OPERATOR_GROUPS')) {
+        return 'operator';
+    }
+
+    // Without an explicit viewer allowlist, anyone admitted by the Access application may view
+    const viewersRestricted = Boolean(env.VIEWER_EMAILS || env.VIEWER_GROUPS);
+    if (!viewersRestricted || matches('VIEWER_EMAILS', 'VIEWER_GROUPS')) {
+        return 'viewer';
+    }
+
+    return null;
+}
+
+function hasPermission(identity, permission) {
+    return Boolean(identity?.role) && ROLE_PERMISSIONS[identity.role].includes(permission);
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+// Read a request body that must be a JSON object. Returns { body } or { response } holding the 400 to send;
+// with optional set, an empty body reads as {}.
+async function readJsonObject(request, { optional = false } = {}) {
+    const text = await request.text();
+    if (optional && !text.trim()) {
+        return { body: {} };
     }
     
-    // Validate list IDs
+    let body;
     try {
-        validateListId(highRiskListId, 'high risk');
-        validateListId(mediumRiskListId, 'medium risk');
-        validateListId(lowRiskListId, 'low risk');
+        body = JSON.parse(text);
     } catch (error) {
-        console.error('List ID validation failed:', error.message);
-        if (request !== 'notfetch') {
-            return new Response(JSON.stringify({
-                error: 'Configuration error',
-                message: error.message
-            }), {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' }
-            });
-        }
-        return;
+        return { response: jsonResponse({ error: 'Invalid request', message: 'Request body must be JSON' }, 400) };
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { response: jsonResponse({ error: 'Invalid request', message: 'Request body must be a JSON object' }, 400) };
     }
+    return { body };
+}
 
-    // Optimization - if fetch, stop the worker if browser is requesting favicon.ico
-    if (request != 'notfetch') {
-        const urlRequest = new URL(request.url);
-        const checkFavicon = urlRequest.pathname.slice(1);
-        if (checkFavicon == "favicon.ico") {
-            return new Response(null, { status: 204 });
-        }
-
-        // Handle API routes
-        if (urlRequest.pathname === '/api/user-risk-scores') {
-            return await getUserRiskScoresAPI(accountId, apiToken);
-        }
-        if (urlRequest.pathname === '/api/health') {
-            return await getHealthCheckAPI(accountId, apiToken);
-        } else if (urlRequest.pathname === '/api/metrics') {
-            return await getMetricsAPI(env);
-        } else if (urlRequest.pathname === '/api/reconcile-lists') {
-            return await handleReconciliation(accountId, apiToken, highRiskListId, mediumRiskListId, lowRiskListId, env);
-        } else if (urlRequest.pathname === '/api/create-new-lists') {
-            return await createNewGatewayLists(accountId, apiToken);
-        } else if (urlRequest.pathname === '/api/test-user-removal') {
-            return await testUserRemoval(accountId, apiToken, mediumRiskListId);
-        } else if (urlRequest.pathname === '/api/test-clear-method') {
-            return await testClearMethod(accountId, apiToken, mediumRiskListId);
-        } else if (urlRequest.pathname === '/api/test-kv-sync') {
-            return await testKVSync(accountId, apiToken, mediumRiskListId, env);
-        } else if (urlRequest.pathname === '/api/test-patch-method') {
-            return await testPatchMethod(accountId, apiToken, mediumRiskListId, env);
-        }
-        if (urlRequest.pathname === '/api/gateway-lists') {
-            return await getGatewayListsAPI(accountId, apiToken, highRiskListId, mediumRiskListId, lowRiskListId);
-        }
-        if (urlRequest.pathname === '/api/update-risk-lists') {
-            return await updateRiskListsAPI(accountId, apiToken, highRiskListId, mediumRiskListId, lowRiskListId, env);
-        }
-        if (urlRequest.pathname === '/api/force-cleanup') {
-            // Force cleanup by directly calling the main logic
-            await handleRequest('notfetch', { 
-                CLOUDFLARE_ACCOUNT_ID: accountId, 
-                CLOUDFLARE_API_TOKEN: apiToken,
-                HIGH_RISK_LIST_ID: highRiskListId,
-                MEDIUM_RISK_LIST_ID: mediumRiskListId,
-                LOW_RISK_LIST_ID: lowRiskListId,
-                USER_RISK_KV: env.USER_RISK_KV
-            });
-            return new Response(JSON.stringify({
-                success: true,
-                message: "Force cleanup completed - all Gateway lists synchronized with current risk scores"
-            }), {
-                headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-            });
+// Multi-account tenants. TENANTS is a JSON array of
+// { "id": "prod", "name": "Production", "account_id": "...", "api_token_secret": "PROD_API_TOKEN", "lists": [...] }
+// where api_token_secret names the secret holding the tenant's API token and lists uses the
+// RISK_LIST_MAPPING format. Without TENANTS the single CLOUDFLARE_ACCOUNT_ID is the default tenant.
+function loadTenants(env) {
+    if (!env.TENANTS) {
+        return [{ id: 'default', name: 'Default', accountId: env.CLOUDFLARE_ACCOUNT_ID, isDefault: true }];
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(env.TENANTS);
+    } catch (error) {
+        throw new Error(`Invalid TENANTS: ${error.message}`);
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Invalid TENANTS: expected a non-empty JSON array of accounts');
+    }
+
+    const seenIds = new Set();
+    return entries.map((entry, index) => {
+        const id = String(entry?.id || '').trim().toLowerCase();
+        if (!/^[a-z0-9_-]+$/.test(id) || seenIds.has(id)) {
+            throw new Error(`Invalid TENANTS: account ${index + 1} needs a unique id made of letters, digits, "-" or "_"`);
         }
-        if (urlRequest.pathname === '/api/manual-remove-user') {
-            // Workaround: Delete and recreate the list to force removal
-            try {
-                console.log('Step 1: Deleting medium risk list');
-                const deleteResult = await fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists/${mediumRiskListId}`, {
-                    method: 'DELETE',
-                    headers: {
-                        'Authorization': `Bearer ${apiToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                });
-                
-                const deleteData = await deleteResult.json();
-                console.log('Delete result:', deleteData);
-                
-                // Wait a moment for deletion to propagate
-                await new Promise(resolve => setTimeout(resolve, 3000));
-                
-                console.log('Step 2: Recreating medium risk list');
-                const createResult = await fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${apiToken}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        name: "Medium Risk Users",
-                        description: "Users with medium risk scores",
-                        type: "EMAIL",
-                        items: [] // Start with empty list
-                    })
-                });
-                
-                const createData = await createResult.json();
-                console.log('Create result:', createData);
-                
-                return new Response(JSON.stringify({
-                    success: createData.success,
-                    message: createData.success ? "List recreated successfully - user removed" : "List recreation failed",
-                    details: {
-                        deleteResult: deleteData,
-                        createResult: createData,
-                        newListId: createData.result?.id
-                    }
-                }), {
-                    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-                });
-                
-            } catch (error) {
-                return new Response(JSON.stringify({
-                    success: false,
-                    message: "List recreation failed with error",
-                    error: error.message
-                }), {
-                    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-                });
-            }
+        if (!/^[a-f0-9]{32}$/i.test(entry.account_id || '')) {
+            throw new Error(`Invalid TENANTS: account "${id}" has an invalid account_id`);
+        }
+        if (!entry.api_token_secret) {
+            throw new Error(`Invalid TENANTS: account "${id}" needs api_token_secret`);
+        }
+        if (!Array.isArray(entry.lists) || entry.lists.length === 0) {
+            throw new Error(`Invalid TENANTS: account "${id}" needs a lists mapping`);
         }
-        if (urlRequest.pathname === '/') {
-            return new Response(getHTML(), { headers: { 'Content-Type': 'text/html' } });
+        seenIds.add(id);
+
+        return {
+            id,
+            name: entry.name || id,
+            accountId: entry.account_id,
+            apiTokenSecret: entry.api_token_secret,
+            lists: entry.lists
+        };
+    });
+}
+
+// Find the tenant selected by ?account=, matched by tenant id or account ID; the first tenant is the default
+function resolveTenant(env, selector) {
+    const tenants = loadTenants(env);
+    if (!selector) return tenants[0];
+
+    const normalizedSelector = selector.trim().toLowerCase();
+    return tenants.find(tenant => tenant.id === normalizedSelector || String(tenant.accountId).toLowerCase() === normalizedSelector) || null;
+}
+
+// Prefix every key so tenants sharing the KV namespace never see each other's state
+function namespaceKV(kv, prefix) {
+    if (!kv) return kv;
+
+    return {
+        get: (key, options) => kv.get(prefix + key, options),
+        put: (key, value, options) => kv.put(prefix + key, value, options),
+        delete: key => kv.delete(prefix + key),
+        list: async (options = {}) => {
+            const page = await kv.list({ ...options, prefix: prefix + (options.prefix || '') });
+            return { ...page, keys: page.keys.map(key => ({ ...key, name: key.name.slice(prefix.length) })) };
         }
+    };
+}
+
+// Environment as seen by one tenant: its credentials, its list mapping and its own KV key space.
+// The default tenant keeps the unprefixed keys so single-account deployments keep their state.
+function getTenantEnv(env, tenant) {
+    if (tenant.isDefault) {
+        return { ...env, TENANT: tenant };
     }
 
-    // Step 1: Fetch user risk scores from the API
-    const userRiskResult = await fetchAllUserRiskScores(accountId, apiToken);
-    
-    if (!userRiskResult.success) {
-        console.log('Failed to fetch user risk scores');
-        return;
+    return {
+        ...env,
+        TENANT: tenant,
+        CLOUDFLARE_ACCOUNT_ID: tenant.accountId,
+        CLOUDFLARE_API_TOKEN: env[tenant.apiTokenSecret],
+        RISK_LIST_MAPPING: JSON.stringify(tenant.lists),
+        USER_RISK_KV: namespaceKV(env.USER_RISK_KV, `${tenant.accountId}:`)
+    };
+}
+
+function listAccountsAPI(env) {
+    const tenants = loadTenants(env);
+    return jsonResponse({
+        accounts: tenants.map(tenant => ({ id: tenant.id, name: tenant.name, accountId: tenant.accountId })),
+        default: tenants[0].id
+    });
+}
+
+// Resolve Cloudflare credentials and the Gateway list mapping.
+// requirement is 'account' for routes that only call the API, 'lists' for routes that also touch the risk lists.
+async function loadConfig(env, requirement = 'lists') {
+    validateEnvironmentVariables(env);
+
+    const config = {
+        accountId: env.CLOUDFLARE_ACCOUNT_ID,
+        api: createApiClient(env, env.CLOUDFLARE_ACCOUNT_ID, env.CLOUDFLARE_API_TOKEN),
+        lists: []
+    };
+
+    if (requirement === 'lists') {
+        config.lists = await loadListMapping(env);
     }
-    
-    const userRiskScores = userRiskResult.users || [];
-    console.log(`Processing ${userRiskScores.length} user risk scores`);
-    
-    // Step 2: Categorize users by risk level (using max_risk_level field)
-    const highRiskUsers = userRiskScores.filter(user => user.max_risk_level === 'high');
-    const mediumRiskUsers = userRiskScores.filter(user => user.max_risk_level === 'medium');
-    const lowRiskUsers = userRiskScores.filter(user => user.max_risk_level === 'low');
-    
-    console.log(`High risk: ${highRiskUsers.length}, Medium risk: ${mediumRiskUsers.length}, Low risk: ${lowRiskUsers.length}`);
-    
-    // Step 3: Store expected state in KV (source of truth)
-    await storeExpectedStateInKV(env, highRiskListId, highRiskUsers, 'high');
-    await storeExpectedStateInKV(env, mediumRiskListId, mediumRiskUsers, 'medium');
-    await storeExpectedStateInKV(env, lowRiskListId, lowRiskUsers, 'low');
-    
-    // Step 4: Compare KV state vs Gateway lists and update if needed
-    const highResult = await syncGatewayListFromKV(accountId, apiToken, highRiskListId, env, 'High Risk Users - New');
-    const mediumResult = await syncGatewayListFromKV(accountId, apiToken, mediumRiskListId, env, 'Medium Risk Users - New');
-    const lowResult = await syncGatewayListFromKV(accountId, apiToken, lowRiskListId, env, 'Low Risk Users - New');
-    
-    console.log(`Sync results - High: ${highResult.success ? 'Success' : 'Failed'}, Medium: ${mediumResult.success ? 'Success' : 'Failed'}, Low: ${lowResult.success ? 'Success' : 'Failed'}`);
 
-    console.log('Risk list update completed');
+    return config;
 }
 
-async function handleReconciliation(accountId, apiToken, highRiskListId, mediumRiskListId, lowRiskListId, env) {
-    try {
-        const listIds = [
-            { id: highRiskListId, name: 'high' },
-            { id: mediumRiskListId, name: 'medium' },
-            { id: lowRiskListId, name: 'low' }
-        ];
-        
-        const reconciliationResults = [];
-        
-        for (const list of listIds) {
-            const kvKey = `gateway_list_${list.id}`;
-            const expectedStateStr = await env.USER_RISK_KV.get(kvKey);
-            
-            if (!expectedStateStr) {
-                console.log(`No KV state found for ${list.name} risk list ${list.id}`);
-                continue;
-            }
-            
-            const expectedState = JSON.parse(expectedStateStr);
-            const expectedEmails = new Set(expectedState.emails);
-            
-            // Get current API state
-            const currentItemsResult = await fetchGatewayListItems(accountId, apiToken, list.id);
-            if (!currentItemsResult.success) {
-                console.error(`Failed to fetch items for ${list.name} risk list:`, currentItemsResult.errors);
-                continue;
-            }
-            
-            const currentEmails = new Set(currentItemsResult.items.map(item => item.value));
-            
-            // Check for inconsistency
-            const isConsistent = setsEqual(currentEmails, expectedEmails);
-            
-            reconciliationResults.push({
-                listId: list.id,
-                listName: list.name,
-                consistent: isConsistent,
-                expectedCount: expectedEmails.size,
-                actualCount: currentEmails.size,
-                expectedEmails: [...expectedEmails],
-                actualEmails: [...currentEmails],
-                lastUpdated: expectedState.lastUpdated,
-                reconciliationNeeded: expectedState.reconciliationNeeded || false
-            });
-            
-            if (!isConsistent) {
-                console.warn(`Inconsistency detected in ${list.name} risk list ${list.id}`);
-                console.log(`Expected: [${[...expectedEmails].join(', ')}]`);
-                console.log(`Actual: [${[...currentEmails].join(', ')}]`);
+// Route table: each route declares its method, required permission, the configuration it needs and its handler.
+// Paths may contain :name segments, which are passed to the handler as params.
+const ROUTES = [
+    { method: 'GET', path: '/', permission: 'read', config: 'none', handler: () => new Response(getHTML(), { headers: { 'Content-Type': 'text/html' } }) },
+    { method: 'GET', path: '/api/me', permission: 'read', config: 'none', handler: ({ identity }) => getCurrentIdentityAPI(identity) },
+    { method: 'GET', path: '/api/accounts', permission: 'read', config: 'none', handler: ({ env }) => listAccountsAPI(env) },
+    { method: 'GET', path: '/api/user-risk-scores', permission: 'read', config: 'account', handler: ({ config, env }) => getUserRiskScoresAPI(env, config) },
+    { method: 'GET', path: '/api/gateway-lists', permission: 'read', config: 'lists', handler: ({ config }) => getGatewayListsAPI(config.api, config.lists) },
+    { method: 'GET', path: '/api/export/users', permission: 'read', config: 'lists', handler: ({ config, env, url }) => exportMembershipAPI(env, config, url, 'users') },
+    { method: 'GET', path: '/api/export/lists', permission: 'read', config: 'lists', handler: ({ config, env, url }) => exportMembershipAPI(env, config, url, 'lists') },
+    { method: 'GET', path: '/api/health', permission: 'read', config: 'account', handler: ({ config, env }) => getHealthCheckAPI(config.api, env) },
+    { method: 'GET', path: '/api/metrics', permission: 'read', config: 'none', handler: ({ env }) => getMetricsAPI(env) },
+    { method: 'GET', path: '/metrics', permission: 'read', config: 'none', handler: ({ rootEnv }) => getPrometheusMetrics(rootEnv) },
+    { method: 'GET', path: '/api/audit', permission: 'read', config: 'none', handler: ({ env, url }) => getAuditAPI(env, url) },
+    { method: 'GET', path: '/api/runs', permission: 'read', config: 'none', handler: ({ env, url }) => listRunsAPI(env, url) },
+    { method: 'GET', path: '/api/sync/plan', permission: 'read', config: 'lists', handler: ({ config, env }) => getSyncPlanAPI(env, config) },
+    { method: 'GET', path: '/api/overrides', permission: 'read', config: 'none', handler: ({ env }) => listOverridesAPI(env) },
+    { method: 'POST', path: '/api/overrides', permission: 'operate', config: 'none', handler: ({ request, env, identity }) => createOverrideAPI(request, env, identity) },
+    { method: 'DELETE', path: '/api/overrides/:email', permission: 'operate', config: 'none', handler: ({ env, params, identity }) => deleteOverrideAPI(env, params.email, identity) },
+    { method: 'GET', path: '/api/users/:user_id', permission: 'read', config: 'lists', handler: ({ config, env, params }) => getUserDetailAPI(env, config, params.user_id) },
+    { method: 'POST', path: '/api/users/:user_id/reset-risk', permission: 'operate', config: 'lists', handler: ({ request, config, env, params, identity }) => resetUserRiskAPI(request, env, config, params.user_id, identity) },
+    { method: 'GET', path: '/api/risk-resets', permission: 'read', config: 'none', handler: ({ env, url }) => listRiskResetsAPI(env, url) },
+    { method: 'GET', path: '/api/risk-behaviors', permission: 'read', config: 'account', handler: ({ config }) => getRiskBehaviorsAPI(config) },
+    { method: 'PUT', path: '/api/risk-behaviors', permission: 'operate', config: 'account', handler: ({ request, config, env, identity }) => updateRiskBehaviorsAPI(request, env, config, identity) },
+    { method: 'GET', path: '/api/risk-behaviors/changes', permission: 'read', config: 'none', handler: ({ env, url }) => listBehaviorChangesAPI(env, url) },
+    { method: 'GET', path: '/api/users/:email/history', permission: 'read', config: 'none', handler: ({ env, params }) => getUserHistoryAPI(env, params.email) },
+    { method: 'GET', path: '/api/reconcile-lists', permission: 'operate', config: 'lists', handler: ({ config, env }) => handleReconciliation(config.api, config.lists, env) },
+    { method: 'POST', path: '/api/update-risk-lists', permission: 'operate', config: 'lists', handler: ({ config, env, identity }) => updateRiskListsAPI(env, config, identity) },
+    { method: 'GET', path: '/api/circuit-breaker', permission: 'read', config: 'none', handler: async ({ env }) => jsonResponse(await getCircuitBreakerState(env)) },
+    { method: 'POST', path: '/api/circuit-breaker/confirm', permission: 'operate', config: 'lists', handler: ({ request, config, env, identity }) => confirmCircuitBreakerAPI(request, env, config, identity) },
+    { method: 'POST', path: '/api/force-cleanup', permission: 'operate', config: 'lists', handler: ({ config, env, identity }) => forceCleanupAPI(env, config, identity) },
+    { method: 'POST', path: '/api/lists/:level/members', permission: 'operate', config: 'lists', handler: ({ request, config, env, params, identity }) => addListMemberAPI(request, env, config, params.level, identity) },
+    { method: 'DELETE', path: '/api/lists/:level/members/:email', permission: 'operate', config: 'lists', handler: ({ config, env, url, params, identity }) => removeListMemberAPI(env, config, url, params.level, params.email, identity) },
+    { method: 'GET', path: '/api/lists/pins', permission: 'read', config: 'none', handler: ({ env }) => listListPinsAPI(env) },
+    { method: 'DELETE', path: '/api/lists/:level/pins/:email', permission: 'operate', config: 'none', handler: ({ env, params, identity }) => clearListPinAPI(env, params.level, params.email, identity) },
+    { method: 'POST', path: '/api/policies/bootstrap', permission: 'operate', config: 'lists', handler: ({ request, config, identity }) => bootstrapPoliciesAPI(request, config, identity) },
+    { method: 'POST', path: '/api/create-new-lists', permission: 'operate', config: 'account', handler: ({ config, env, identity }) => createNewGatewayLists(config.api, env, identity) },
+    { method: 'POST', path: '/api/test-user-removal', permission: 'operate', config: 'lists', handler: ({ config, env, identity }) => withTestRunLock(env, identity, 'test-user-removal', () => testUserRemoval(config.api, getTestList(config), env, identity)) },
+    { method: 'POST', path: '/api/test-clear-method', permission: 'operate', config: 'lists', handler: ({ config, env, identity }) => withTestRunLock(env, identity, 'test-clear-method', () => testClearMethod(config.api, getTestList(config), env, identity)) },
+    { method: 'POST', path: '/api/test-kv-sync', permission: 'operate', config: 'lists', handler: ({ config, env, identity }) => withTestRunLock(env, identity, 'test-kv-sync', () => testKVSync(config.api, getTestList(config), env, identity)) },
+    { method: 'POST', path: '/api/test-patch-method', permission: 'operate', config: 'lists', handler: ({ config, env, identity }) => withTestRunLock(env, identity, 'test-patch-method', () => testPatchMethod(config.api, getTestList(config), env, identity)) }
+].map(route => ({
+    ...route,
+    pattern: new RegExp('^' + route.path.replace(/:([A-Za-z_]+)/g, '(?<$1>[^/]+)') + '$')
+}));
+
+// Find the route for a request; unknown paths are 404, known paths with the wrong method are 405,
+// path parameters that don't decode are 400
+function matchRoute(method, pathname) {
+    const allowedMethods = [];
+
+    for (const route of ROUTES) {
+        const match = route.pattern.exec(pathname);
+        if (!match) continue;
+
+        if (route.method === method) {
+            const params = {};
+            for (const [name, value] of Object.entries(match.groups || {})) {
+                try {
+                    params[name] = decodeURIComponent(value);
+                } catch (error) {
+                    // Malformed percent-encoding such as %E0%A4%A
+                    return { status: 400, message: `Malformed ${name} in path` };
+                }
             }
+            return { status: 200, route, params };
         }
-        
-        return new Response(JSON.stringify({
-            success: true,
-            timestamp: new Date().toISOString(),
-            reconciliation: reconciliationResults
-        }), {
-            headers: { 'Content-Type': 'application/json' }
-        });
-        
-    } catch (error) {
-        console.error('Reconciliation error:', error);
-        return new Response(JSON.stringify({
-            success: false,
-            error: error.message
-        }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json' }
-        });
+        allowedMethods.push(route.method);
     }
+
+    return allowedMethods.length > 0
+        ? { status: 405, allowedMethods }
+        : { status: 404 };
 }
 
-async function createNewGatewayLists(accountId, apiToken) {
+// Any uncaught handler error still gets the JSON error shape instead of a platform 500
+async function handleRequest(request, env) {
     try {
-        const lists = [
-            {
-                name: "High Risk Users - New",
-                description: "New high risk users list (not protected by policies)",
-                type: "EMAIL"
-            },
-            {
-                name: "Medium Risk Users - New", 
-                description: "New medium risk users list (not protected by policies)",
-                type: "EMAIL"
-            },
-            {
-                name: "Low Risk Users - New",
-                description: "New low risk users list (not protected by policies)", 
-                type: "EMAIL"
-            }
-        ];
+        return await routeRequest(request, env);
+    } catch (error) {
+        console.error(`Unhandled error for ${request.method} ${request.url}:`, error);
+        return jsonResponse({ error: 'Internal error', message: error.message }, 500);
+    }
+}
 
-        const results = [];
-        
-        for (const listConfig of lists) {
-            const createResult = await makeApiRequest(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${apiToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    ...listConfig,
-                    items: []
-                })
-            });
+async function routeRequest(request, env) {
+    const url = new URL(request.url);
 
-            const createData = await createResult.json();
-            results.push({
-                name: listConfig.name,
-                success: createData.success,
-                listId: createData.result?.id,
-                errors: createData.errors
+    // Optimization - stop the worker if browser is requesting favicon.ico
+    if (url.pathname === '/favicon.ico') {
+        return new Response(null, { status: 204 });
+    }
+
+    // Prometheus scrapers present METRICS_BEARER_TOKEN instead of an Access token
+    if (url.pathname === '/metrics' && request.method === 'GET' && env.METRICS_BEARER_TOKEN && request.headers.has('Authorization')) {
+        if (!constantTimeEqual(request.headers.get('Authorization'), `Bearer ${env.METRICS_BEARER_TOKEN}`)) {
+            return jsonResponse({ error: 'Unauthorized', message: 'Invalid metrics bearer token' }, 401);
+        }
+        return await getPrometheusMetrics(env);
+    }
+
+    // Authenticate before revealing anything about the worker, including which routes exist
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+        return jsonResponse({ error: auth.error, message: auth.message }, auth.status);
+    }
+    const identity = auth.identity;
+
+    const match = matchRoute(request.method, url.pathname);
+    if (match.status === 404) {
+        return jsonResponse({ error: 'Not found', message: `No route for ${url.pathname}` }, 404);
+    }
+    if (match.status === 400) {
+        return jsonResponse({ error: 'Invalid request', message: match.message }, 400);
+    }
+    if (match.status === 405) {
+        return jsonResponse({
+            error: 'Method not allowed',
+            message: `${request.method} is not allowed on ${url.pathname}`
+        }, 405, { 'Allow': match.allowedMethods.join(', ') });
+    }
+
+    const { route, params } = match;
+    if (!hasPermission(identity, route.permission)) {
+        console.warn(`Denied ${request.method} ${url.pathname} to ${describeIdentity(identity)} (role: ${identity.role || 'none'})`);
+        return jsonResponse({
+            error: 'Forbidden',
+            message: identity.role
+                ? `The ${identity.role} role is not allowed to perform this action`
+                : 'Your identity is not assigned a role for this application'
+        }, 403);
+    }
+
+    // Every route runs against the selected account, including KV-only routes such as overrides
+    let tenant;
+    try {
+        tenant = resolveTenant(env, url.searchParams.get('account'));
+    } catch (error) {
+        console.error('Configuration validation failed:', error.message);
+        return jsonResponse({ error: 'Configuration error', message: error.message }, 500);
+    }
+    if (!tenant) {
+        return jsonResponse({ error: 'Not found', message: `Unknown account ${url.searchParams.get('account')}` }, 404);
+    }
+    const tenantEnv = getTenantEnv(env, tenant);
+
+    let config = null;
+    if (route.config !== 'none') {
+        try {
+            config = await loadConfig(tenantEnv, route.config);
+        } catch (error) {
+            console.error(`Configuration validation failed for account ${tenant.name}:`, error.message);
+            return jsonResponse({ error: 'Configuration error', message: error.message, account: tenant.id }, 500);
+        }
+    }
+
+    return await route.handler({ request, env: tenantEnv, rootEnv: env, url, params, identity, config });
+}
+
+// Sync every tenant in turn; a failing account is logged and does not stop the others
+async function handleScheduled(env) {
+    let tenants;
+    try {
+        tenants = loadTenants(env);
+    } catch (error) {
+        console.error('Configuration validation failed:', error.message);
+        return;
+    }
+
+    for (const tenant of tenants) {
+        const tenantEnv = getTenantEnv(env, tenant);
+        const startedAt = new Date();
+        let config = null;
+        try {
+            config = await loadConfig(tenantEnv);
+            console.log(`Starting risk sync for account ${tenant.name} (${tenant.accountId})`);
+            const result = await runRiskSync(tenantEnv, config, { trigger: 'scheduled' });
+            if (!result.success) {
+                console.error(`Risk sync for account ${tenant.name} completed with errors`);
+            }
+        } catch (error) {
+            console.error(`Risk sync for account ${tenant.name} failed:`, error.message);
+            // runRiskSync records its own runs; a configuration error never gets that far
+            if (!config) {
+                const result = { success: false, error: 'Configuration error', details: error.message };
+                await logExecution(tenantEnv, buildRunRecord(tenantEnv, null, crypto.randomUUID(), { trigger: 'scheduled' }, result, startedAt, null));
+            }
+        }
+    }
+}
+
+// Risk-level-to-list mapping. RISK_LIST_MAPPING is a JSON array of
+// { "key": "elevated", "name": "Elevated Risk Users", "id": "<list id>", "rule": "high or medium" }.
+// The risk_list_mapping KV key takes precedence so the mapping can change without a redeploy.
+// Without a mapping each of HIGH/MEDIUM/LOW_RISK_LIST_ID receives the users of its own level.
+const RISK_LIST_MAPPING_KV_KEY = 'risk_list_mapping';
+
+function getDefaultListMapping(env) {
+    const defaults = [
+        { key: 'high', name: 'High Risk Users - New', id: env.HIGH_RISK_LIST_ID, rule: 'high', envName: 'HIGH_RISK_LIST_ID' },
+        { key: 'medium', name: 'Medium Risk Users - New', id: env.MEDIUM_RISK_LIST_ID, rule: 'medium', envName: 'MEDIUM_RISK_LIST_ID' },
+        { key: 'low', name: 'Low Risk Users - New', id: env.LOW_RISK_LIST_ID, rule: 'low', envName: 'LOW_RISK_LIST_ID' }
+    ];
+
+    // With AUTO_PROVISION_LISTS the sync creates missing lists instead
+    const missingLists = defaults.filter(list => !list.id).map(list => list.envName);
+    if (missingLists.length > 0 && !getBooleanSetting(env, 'AUTO_PROVISION_LISTS')) {
+        throw new Error(`Missing Gateway List IDs: ${missingLists.join(', ')}. Please set these via wrangler secrets, configure RISK_LIST_MAPPING, enable AUTO_PROVISION_LISTS or create new lists using /api/create-new-lists`);
+    }
+
+    return defaults.map(({ envName, ...list }) => list);
+}
+
+// Load and validate the list mapping; every list gets a compiled matches(user, now) predicate.
+// Lists the self-healing provisioning has replaced use the ID it resolved, as long as the configured ID
+// is still the one it replaced. configuredId keeps the ID from the mapping for that comparison.
+async function loadListMapping(env) {
+    const storedMapping = env.USER_RISK_KV ? await env.USER_RISK_KV.get(RISK_LIST_MAPPING_KV_KEY) : null;
+    const provisioning = await getListProvisioningState(env);
+    const autoProvision = getBooleanSetting(env, 'AUTO_PROVISION_LISTS');
+    const rawMapping = storedMapping || env.RISK_LIST_MAPPING;
+    const source = storedMapping ? `KV key ${RISK_LIST_MAPPING_KV_KEY}` : 'RISK_LIST_MAPPING';
+
+    let entries;
+    if (rawMapping) {
+        try {
+            entries = JSON.parse(rawMapping);
+        } catch (error) {
+            throw new Error(`Invalid ${source}: ${error.message}`);
+        }
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error(`Invalid ${source}: expected a non-empty JSON array of lists`);
+        }
+    } else {
+        entries = getDefaultListMapping(env);
+    }
+
+    const seenKeys = new Set();
+    const seenIds = new Set();
+
+    return entries.map((entry, index) => {
+        const key = String(entry?.key || '').trim().toLowerCase();
+        if (!/^[a-z0-9_-]+$/.test(key)) {
+            throw new Error(`Invalid ${source}: list ${index + 1} needs a key made of letters, digits, "-" or "_"`);
+        }
+        if (seenKeys.has(key)) {
+            throw new Error(`Invalid ${source}: duplicate list key "${key}"`);
+        }
+        const configuredId = entry.id || null;
+        const resolved = provisioning.lists[key];
+        let id = resolved && resolved.configuredId === configuredId ? resolved.id : configuredId;
+        if (autoProvision && !isValidListId(id)) {
+            // Left for ensureGatewayLists to create
+            id = null;
+        } else {
+            validateListId(id, key);
+        }
+        if (id && seenIds.has(id)) {
+            throw new Error(`Invalid ${source}: list ${id} is mapped more than once`);
+        }
+        seenKeys.add(key);
+        seenIds.add(id);
+
+        let matches;
+        try {
+            matches = compileMembershipRule(entry.rule);
+        } catch (error) {
+            throw new Error(`Invalid rule for list "${key}": ${error.message}`);
+        }
+
+        return { key, name: entry.name || key, id, configuredId, rule: String(entry.rule).trim(), matches };
+    });
+}
+
+// Membership rules combine levels with and/or/not and parentheses, e.g. "high or medium",
+// "medium and last_event within 7 days" or "not low and event_count >= 5".
+// Levels refer to the effective level, after overrides and hysteresis.
+function compileMembershipRule(rule) {
+    const source = String(rule || '').toLowerCase();
+    const tokens = source.match(/\(|\)|>=|<=|!=|=|>|<|[a-z_]+|\d+(?:\.\d+)?/g) || [];
+    if (tokens.join('') !== source.replace(/\s+/g, '')) {
+        throw new Error(`unsupported characters in "${rule}"`);
+    }
+    if (tokens.length === 0) {
+        throw new Error('rule is empty');
+    }
+
+    const timeUnits = { minute: 60, minutes: 60, hour: 3600, hours: 3600, day: 86400, days: 86400 };
+    const comparators = {
+        '>=': (a, b) => a >= b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '<': (a, b) => a < b,
+        '=': (a, b) => a === b,
+        '!=': (a, b) => a !== b
+    };
+    let position = 0;
+
+    const readNumber = () => {
+        const value = Number(tokens[position++]);
+        if (!Number.isFinite(value)) {
+            throw new Error(`expected a number at position ${position}`);
+        }
+        return value;
+    };
+
+    const parseTerm = () => {
+        const token = tokens[position++];
+
+        if (token === 'not') {
+            const inner = parseTerm();
+            return (user, now) => !inner(user, now);
+        }
+        if (token === '(') {
+            const inner = parseOr();
+            if (tokens[position++] !== ')') throw new Error('missing ")"');
+            return inner;
+        }
+        if (Object.hasOwn(RISK_LEVEL_RANK, token)) {
+            return user => user.effective_risk_level === token;
+        }
+        if (token === 'last_event') {
+            if (tokens[position++] !== 'within') throw new Error('expected "last_event within <number> <minutes|hours|days>"');
+            const amount = readNumber();
+            const unitSeconds = timeUnits[tokens[position++]];
+            if (!unitSeconds) throw new Error('expected minutes, hours or days after "last_event within <number>"');
+            const windowMs = amount * unitSeconds * 1000;
+            return (user, now) => Boolean(user.last_event) && now - Date.parse(user.last_event) <= windowMs;
+        }
+        if (token === 'event_count') {
+            const compare = comparators[tokens[position++]];
+            if (!compare) throw new Error('expected a comparison (>=, <=, >, <, =, !=) after "event_count"');
+            const value = readNumber();
+            return user => compare(Number(user.event_count) || 0, value);
+        }
+
+        throw new Error(token ? `unexpected "${token}"` : 'unexpected end of rule');
+    };
+
+    const parseAnd = () => {
+        let predicate = parseTerm();
+        while (tokens[position] === 'and') {
+            position++;
+            const left = predicate;
+            const right = parseTerm();
+            predicate = (user, now) => left(user, now) && right(user, now);
+        }
+        return predicate;
+    };
+
+    const parseOr = () => {
+        let predicate = parseAnd();
+        while (tokens[position] === 'or') {
+            position++;
+            const left = predicate;
+            const right = parseAnd();
+            predicate = (user, now) => left(user, now) || right(user, now);
+        }
+        return predicate;
+    };
+
+    const predicate = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`unexpected "${tokens[position]}"`);
+    }
+    return predicate;
+}
+
+// Users from every risk level that belong in the given list
+function getListMembers(list, categorized, now = Date.now()) {
+    return Object.values(categorized).flat().filter(user => list.matches(user, now));
+}
+
+// Expected members of every mapped list, keyed by list key, with the manual membership pins applied
+function getExpectedMembers(config, categorized, memberPins = {}) {
+    const now = Date.now();
+    return Object.fromEntries(config.lists.map(list => [list.key, applyListMemberPins(getListMembers(list, categorized, now), memberPins[list.key])]));
+}
+
+// The test endpoints work on the medium list, or the first mapped list when there is none
+function getTestList(config) {
+    return config.lists.find(list => list.key === 'medium') || config.lists[0];
+}
+
+// Break-glass and service accounts that must never be placed in a risk list.
+// PROTECTED_USERS holds exact emails; PROTECTED_PATTERNS holds "@domain.com", glob ("svc-*@example.com")
+// or "/regex/" entries, comma-separated or as a JSON array when a regex contains commas.
+function getProtectedUserMatcher(env) {
+    const exactEmails = new Set(parseCommaList(env.PROTECTED_USERS));
+    
+    let patternEntries = [];
+    const rawPatterns = (env.PROTECTED_PATTERNS || '').trim();
+    try {
+        patternEntries = rawPatterns.startsWith('[') ? JSON.parse(rawPatterns) : rawPatterns.split(',');
+    } catch (error) {
+        console.error('Invalid PROTECTED_PATTERNS configuration:', error.message);
+    }
+    
+    const patterns = [];
+    for (const entry of patternEntries.map(item => String(item).trim()).filter(Boolean)) {
+        const regexMatch = entry.match(/^\/(.+)\/([a-z]*)$/);
+        const escaped = entry.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        try {
+            if (regexMatch) {
+                patterns.push({ rule: entry, regex: new RegExp(regexMatch[1], regexMatch[2].includes('i') ? regexMatch[2] : regexMatch[2] + 'i') });
+            } else if (entry.startsWith('@')) {
+                patterns.push({ rule: entry, regex: new RegExp(`${escaped}$`) });
+            } else {
+                patterns.push({ rule: entry, regex: new RegExp(`^${escaped.replace(/\*/g, '.*')}$`) });
+            }
+        } catch (error) {
+            console.error(`Invalid protected user pattern ${entry}:`, error.message);
+        }
+    }
+    
+    // Returns the rule that shields the email, or null when it is not protected
+    return email => {
+        const normalizedEmail = normalizeEmail(email);
+        if (!normalizedEmail) return null;
+        if (exactEmails.has(normalizedEmail)) return normalizedEmail;
+        return patterns.find(pattern => pattern.regex.test(normalizedEmail))?.rule || null;
+    };
+}
+
+// Categorize users by risk level, setting protected users aside. The effective level is the
+// max_risk_level unless an active manual override pins the user to another level.
+function categorizeUsers(users, env, overrides = new Map()) {
+    const matchProtectedUser = getProtectedUserMatcher(env);
+    const categorized = { high: [], medium: [], low: [] };
+    const protectedUsers = [];
+    
+    // Overridden users without a risk score are still placed in the level they are pinned to
+    const scoredEmails = new Set(users.map(user => normalizeEmail(user.email)));
+    const unscoredOverrides = [...overrides.values()]
+        .filter(override => !scoredEmails.has(override.email))
+        .map(override => ({ email: override.email, max_risk_level: null, event_count: 0, last_event: null }));
+    
+    for (const user of [...users, ...unscoredOverrides]) {
+        const protectedBy = matchProtectedUser(user.email);
+        if (protectedBy) {
+            protectedUsers.push({ ...user, protected_by: protectedBy });
+            continue;
+        }
+        
+        const override = overrides.get(normalizeEmail(user.email));
+        const effectiveLevel = override ? override.level : user.max_risk_level;
+        if (categorized[effectiveLevel]) {
+            categorized[effectiveLevel].push({
+                ...user,
+                effective_risk_level: effectiveLevel,
+                ...(override && { override })
             });
         }
+    }
+    
+    return { categorized, protectedUsers };
+}
+
+// De-escalation hysteresis: a user only leaves an elevated level once DEESCALATION_DWELL_HOURS have
+// passed since the last reading at that level and DEESCALATION_MIN_READINGS consecutive lower readings
+// were seen. Held users are moved back into their elevated category in place. The returned state is
+// only persisted by the sync, so the plan and dashboard can preview it without counting readings.
+async function applyDeescalationHysteresis(env, categorized, protectedUsers) {
+    const dwellHours = getNumberSetting(env, 'DEESCALATION_DWELL_HOURS', 0);
+    const minReadings = Math.max(1, getNumberSetting(env, 'DEESCALATION_MIN_READINGS', 1));
+    if (dwellHours === 0 && minReadings === 1) {
+        return { enabled: false, held: 0 };
+    }
+    
+    const stateStr = await env.USER_RISK_KV.get('user_dwell_state');
+    const previousUsers = stateStr ? JSON.parse(stateStr).users || {} : {};
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+    
+    const readings = new Map();
+    for (const [level, users] of Object.entries(categorized)) {
+        for (const user of users) {
+            readings.set(normalizeEmail(user.email), { user, level });
+        }
+    }
+    
+    // Users who dropped out of the risk summary count as a reading below every level
+    const protectedEmails = new Set(protectedUsers.map(user => normalizeEmail(user.email)));
+    for (const email of Object.keys(previousUsers)) {
+        if (!readings.has(email) && !protectedEmails.has(email)) {
+            readings.set(email, { user: { email, max_risk_level: null, event_count: 0, last_event: null }, level: null });
+        }
+    }
+    
+    const nextUsers = {};
+    const heldUsers = [];
+    
+    for (const [email, reading] of readings) {
+        // Overrides are applied as-is and reset the dwell tracking
+        if (reading.user.override) continue;
+        
+        const previous = previousUsers[email];
+        const readingRank = RISK_LEVEL_RANK[reading.level] || 0;
+        const lowerReadings = previous ? previous.lowerReadings + 1 : 0;
+        const releaseAt = previous ? Date.parse(previous.lastSeenAt) + dwellHours * 3600 * 1000 : 0;
+        
+        if (!previous || readingRank >= RISK_LEVEL_RANK[previous.level] || (lowerReadings >= minReadings && now >= releaseAt)) {
+            // Only elevated levels need tracking, low is the floor
+            if (readingRank > RISK_LEVEL_RANK.low) {
+                nextUsers[email] = { level: reading.level, lastSeenAt: nowIso, lowerReadings: 0 };
+            }
+            continue;
+        }
+        
+        nextUsers[email] = { ...previous, lowerReadings };
+        heldUsers.push({
+            reading,
+            user: {
+                ...reading.user,
+                effective_risk_level: previous.level,
+                held: {
+                    level: previous.level,
+                    scored_level: reading.level,
+                    lower_readings: lowerReadings,
+                    required_readings: minReadings,
+                    release_after: new Date(releaseAt).toISOString()
+                }
+            }
+        });
+    }
+    
+    const heldOriginals = new Set(heldUsers.map(held => held.reading.user));
+    for (const level of Object.keys(categorized)) {
+        categorized[level] = categorized[level].filter(user => !heldOriginals.has(user));
+    }
+    for (const held of heldUsers) {
+        categorized[held.user.effective_risk_level].push(held.user);
+    }
+    
+    if (heldUsers.length > 0) {
+        console.log(`Hysteresis holding ${heldUsers.length} users at their elevated level: ${heldUsers.map(held => held.user.email).join(', ')}`);
+    }
+    
+    return {
+        enabled: true,
+        held: heldUsers.length,
+        state: { updatedAt: nowIso, users: nextUsers }
+    };
+}
+
+// Fetch every user risk score and categorize them, shared by the sync, the sync plan and the dashboard
+async function fetchCategorizedUsers(env, config) {
+    const userRiskResult = await fetchAllUserRiskScores(config.api);
+    
+    if (!userRiskResult.success) {
+        console.log('Failed to fetch user risk scores');
+        return { success: false, errors: userRiskResult.errors };
+    }
+    
+    const users = userRiskResult.users || [];
+    const overrides = await loadActiveOverrides(env);
+    const memberPins = await loadListMemberPins(env);
+    const { categorized, protectedUsers } = categorizeUsers(users, env, overrides);
+    const hysteresis = await applyDeescalationHysteresis(env, categorized, protectedUsers);
+    console.log(`Processing ${users.length} user risk scores`);
+    console.log(`High risk: ${categorized.high.length}, Medium risk: ${categorized.medium.length}, Low risk: ${categorized.low.length}, Protected: ${protectedUsers.length}, Overridden: ${overrides.size}, Held: ${hysteresis.held}`);
+    
+    return {
+        success: true,
+        users,
+        categorized,
+        protectedUsers,
+        hysteresis,
+        memberPins,
+        pagination: userRiskResult.pagination,
+        summary: {
+            totalUsers: users.length,
+            high: categorized.high.length,
+            medium: categorized.medium.length,
+            low: categorized.low.length,
+            protected: protectedUsers.length,
+            overridden: overrides.size,
+            held: hysteresis.held
+        }
+    };
+}
+
+// Fetch every mapped list and diff it against its expected members. Diffs that are too large to apply
+// automatically carry the circuit breaker reason.
+async function diffMappedLists(env, config, categorized, expectedMembers) {
+    const diffs = {};
+    
+    for (const list of config.lists) {
+        const members = expectedMembers[list.key];
+        const currentResult = await fetchGatewayListItems(config.api, list.id, list.key);
+        if (currentResult.error) {
+            diffs[list.key] = { list, members, error: currentResult.error };
+            continue;
+        }
+        
+        const expectedEmails = new Set(members.map(user => user.email));
+        const currentEmails = new Set(currentResult.items.map(item => item.value));
+        const { emailsToAdd, emailsToRemove } = computeListChanges(expectedEmails, currentEmails);
+        
+        diffs[list.key] = {
+            list,
+            members,
+            currentEmails,
+            append: emailsToAdd,
+            remove: emailsToRemove,
+            circuitBreaker: checkChangeThresholds(env, emailsToAdd.length + emailsToRemove.length, currentEmails.size)
+        };
+    }
+    
+    return diffs;
+}
+
+// Run the fetch-and-categorize path and diff each Gateway list without writing to KV or Gateway
+async function buildSyncPlan(env, config) {
+    const categorizedResult = await fetchCategorizedUsers(env, config);
+    if (!categorizedResult.success) {
+        return { success: false, error: 'Failed to fetch user risk scores', details: categorizedResult.errors };
+    }
+    
+    const diffs = await diffMappedLists(env, config, categorizedResult.categorized,
+        getExpectedMembers(config, categorizedResult.categorized, categorizedResult.memberPins));
+    const lists = {};
+    
+    for (const [key, diff] of Object.entries(diffs)) {
+        const { list } = diff;
+        lists[key] = diff.error
+            ? { listId: list.id, listName: list.name, rule: list.rule, error: diff.error }
+            : {
+                listId: list.id,
+                listName: list.name,
+                rule: list.rule,
+                expectedCount: diff.members.length,
+                currentCount: diff.currentEmails.size,
+                append: diff.append,
+                remove: diff.remove,
+                circuitBreaker: diff.circuitBreaker
+            };
+    }
+    
+    return {
+        success: Object.values(diffs).every(diff => !diff.error),
+        generatedAt: new Date().toISOString(),
+        summary: categorizedResult.summary,
+        protectedUsers: categorizedResult.protectedUsers.map(user => ({ email: user.email, max_risk_level: user.max_risk_level, protected_by: user.protected_by })),
+        circuitBreaker: await getCircuitBreakerState(env),
+        lists
+    };
+}
+
+async function getSyncPlanAPI(env, config) {
+    try {
+        const plan = await buildSyncPlan(env, config);
+        
+        return new Response(JSON.stringify({
+            ...plan,
+            dryRun: getBooleanSetting(env, 'DRY_RUN')
+        }), {
+            status: plan.success ? 200 : 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Failed to build sync plan', 
+            details: error.message 
+        }), { 
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+}
+
+// Fetch risk scores, store the expected state in KV and sync every Gateway list from it.
+// options.trigger and options.actor describe who started the run (options.reason is added to its audit entries),
+// options.fullReconciliation bypasses the skip-unchanged fast path and options.confirmed is set when an
+// operator confirmed a tripped circuit breaker.
+// Every run, including skipped and dry runs, leaves a run record behind.
+async function runRiskSync(env, config, options = {}) {
+    const runId = crypto.randomUUID();
+    const startedAt = new Date();
+    const apiStatsBefore = { ...config.api.stats, byStatus: { ...config.api.stats.byStatus } };
+
+    let result;
+    try {
+        result = await executeRiskSync(env, config, runId, options);
+        return result;
+    } catch (error) {
+        result = { success: false, runId, error: error.message };
+        throw error;
+    } finally {
+        await logExecution(env, buildRunRecord(env, config, runId, options, result, startedAt, apiStatsBefore));
+    }
+}
+
+async function executeRiskSync(env, config, runId, options) {
+    // In dry-run mode only log what would change
+    if (getBooleanSetting(env, 'DRY_RUN')) {
+        const plan = await buildSyncPlan(env, config);
+        for (const [level, list] of Object.entries(plan.lists || {})) {
+            if (list.error) {
+                console.log(`[DRY RUN] ${list.listName}: failed to fetch current items - ${list.error}`);
+            } else {
+                console.log(`[DRY RUN] ${list.listName}: would append ${list.append.length} [${list.append.join(', ')}], remove ${list.remove.length} [${list.remove.join(', ')}]`);
+                if (list.circuitBreaker) {
+                    console.log(`[DRY RUN] ${list.listName}: would trip the circuit breaker - ${list.circuitBreaker}`);
+                }
+            }
+        }
+        console.log('Dry run completed - no changes applied');
+        return { success: plan.success, dryRun: true, runId, summary: plan.summary, plan };
+    }
+
+    // Only one run may write to KV and Gateway at a time; overlapping runs are skipped
+    const lock = await acquireRunLock(env, runId, options);
+    if (!lock.acquired) {
+        console.warn(`Sync ${runId} skipped - run ${lock.current.runId} (${lock.current.trigger}) holds the lock since ${lock.current.acquiredAt}`);
+        return { success: false, runId, error: 'Sync already running', lock: lock.current };
+    }
+
+    try {
+        return await applyRiskSync(env, config, runId, options);
+    } finally {
+        await releaseRunLock(env, runId);
+    }
+}
+
+async function applyRiskSync(env, config, runId, options) {
+    const { api } = config;
+
+    // A tripped circuit breaker blocks every sync until an operator confirms it
+    const breakerState = await getCircuitBreakerState(env);
+    if (breakerState.tripped && !options.confirmed) {
+        console.warn(`Circuit breaker tripped at ${breakerState.trippedAt} - skipping sync until an operator confirms`);
+        return { success: false, runId, error: 'Circuit breaker tripped', circuitBreaker: breakerState };
+    }
 
+    // Replace missing or unusable Gateway lists before anything is synced to them
+    const provisioning = await ensureGatewayLists(env, config, { actor: options.actor || 'cron', runId });
+    if (!provisioning.state) {
+        // Without the account's lists the mapped IDs cannot be checked, so nothing is synced to them
+        return { success: false, runId, error: 'Failed to list Gateway lists', details: provisioning.errors };
+    }
+    if (provisioning.state.problems.length > 0) {
+        return { success: false, runId, error: 'Gateway lists need attention', details: provisioning.state.problems };
+    }
+    
+    // Step 1 & 2: Fetch user risk scores from the API and categorize them
+    const categorizedResult = await fetchCategorizedUsers(env, config);
+    
+    if (!categorizedResult.success) {
+        return { success: false, runId, error: 'Failed to fetch user risk scores', details: categorizedResult.errors };
+    }
+    
+    const { categorized } = categorizedResult;
+    const expectedMembers = getExpectedMembers(config, categorized, categorizedResult.memberPins);
+    
+    // Fast path: nothing changed since a sync that applied cleanly, so the Gateway lists are not fetched
+    const fingerprint = await computeSyncFingerprint(config, expectedMembers);
+    const skipGatewaySync = await canSkipGatewaySync(env, fingerprint, options);
+    
+    let diffs = null;
+    if (!skipGatewaySync) {
+        // Refuse to apply mass changes, which usually mean the risk scoring API returned an empty or truncated user set.
+        // Nothing is written, so the run can be repeated once an operator has confirmed the change is genuine.
+        diffs = await diffMappedLists(env, config, categorized, expectedMembers);
+        // A confirmation only covers the exact changes the operator reviewed; anything else trips the breaker again.
+        const oversizedDiffs = Object.values(diffs).filter(diff => diff.circuitBreaker);
+        const unreviewedDiffs = options.confirmed ? await findUnreviewedDiffs(breakerState, oversizedDiffs) : oversizedDiffs;
+        if (unreviewedDiffs.length > 0) {
+            const trippedState = await tripCircuitBreaker(env, runId, oversizedDiffs);
+            return {
+                success: false,
+                runId,
+                error: options.confirmed ? 'Changes differ from the confirmed circuit breaker' : 'Circuit breaker tripped',
+                summary: categorizedResult.summary,
+                circuitBreaker: trippedState
+            };
+        }
+        
+        // Step 3: Store the expected membership of every mapped list in KV (source of truth)
+        for (const list of config.lists) {
+            await storeExpectedStateInKV(env, list.id, expectedMembers[list.key], list.key);
+        }
+    }
+    
+    // Persist the dwell tracking only once the held state has been stored
+    if (categorizedResult.hysteresis.state) {
+        await env.USER_RISK_KV.put('user_dwell_state', JSON.stringify(categorizedResult.hysteresis.state));
+    }
+    
+    // Record per-user level transitions for the history timeline
+    const transitionResult = await recordRiskTransitions(env, Object.values(categorized).flat(), runId);
+    
+    // Step 4: Compare KV state vs Gateway lists and update if needed
+    const results = {};
+    if (skipGatewaySync) {
+        console.log('Expected list membership unchanged since the last verified sync - skipping Gateway list fetches');
+        for (const list of config.lists) {
+            results[list.key] = {
+                success: true,
+                added: 0,
+                removed: 0,
+                totalUsers: expectedMembers[list.key].length,
+                message: 'Unchanged since the last verified sync'
+            };
+        }
+    } else {
+        for (const list of config.lists) {
+            results[list.key] = await syncGatewayListFromKV(api, list.id, env, list.name, diffs[list.key].currentEmails, {
+                actor: options.actor || 'cron',
+                runId,
+                listKey: list.key,
+                reason: `${options.trigger || 'manual'} sync${options.reason ? ` after ${options.reason}` : ''}: membership rule "${list.rule}"`
+            });
+        }
+        await saveSyncFingerprint(env, fingerprint, Object.values(results).every(result => result.success && result.verified));
+    }
+    
+    console.log(`Sync results - ${config.lists.map(list => `${list.name}: ${results[list.key].success ? 'Success' : 'Failed'}`).join(', ')}`);
+    
+    // Step 5: Tell the configured webhooks about escalations and de-escalations
+    if (transitionResult.success) {
+        // The first run has no previous levels to compare with, so its transitions only set the baseline
+        await notifyRiskChanges(env, transitionResult.baseline ? [] : transitionResult.transitions, config.lists, results);
+    }
+
+    console.log('Risk list update completed');
+
+    return {
+        success: Object.values(results).every(result => result.success),
+        runId,
+        summary: categorizedResult.summary,
+        fastPath: skipGatewaySync,
+        results
+    };
+}
+
+// Skip-unchanged fast path. The fingerprint is a hash of every list's expected membership; when it matches
+// the last sync that applied cleanly, the Gateway lists still hold those members unless someone edited them
+// by hand, which the full reconciliation every FULL_RECONCILIATION_MINUTES catches.
+const SYNC_FINGERPRINT_KV_KEY = 'sync_fingerprint';
+
+async function computeSyncFingerprint(config, expectedMembers) {
+    const canonical = JSON.stringify(config.lists.map(list => [
+        list.id,
+        expectedMembers[list.key].map(user => normalizeEmail(user.email)).sort()
+    ]));
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function canSkipGatewaySync(env, fingerprint, options) {
+    const intervalMinutes = getNumberSetting(env, 'FULL_RECONCILIATION_MINUTES', 60);
+    if (options.fullReconciliation || options.confirmed || intervalMinutes === 0) return false;
+    
+    const stateStr = await env.USER_RISK_KV.get(SYNC_FINGERPRINT_KV_KEY);
+    if (!stateStr) return false;
+    
+    const state = JSON.parse(stateStr);
+    const reconciliationDue = Date.now() - Date.parse(state.fullReconciliationAt) >= intervalMinutes * 60 * 1000;
+    return state.fingerprint === fingerprint && state.verified && !reconciliationDue;
+}
+
+async function saveSyncFingerprint(env, fingerprint, verified) {
+    await env.USER_RISK_KV.put(SYNC_FINGERPRINT_KV_KEY, JSON.stringify({
+        fingerprint,
+        verified,
+        fullReconciliationAt: new Date().toISOString()
+    }));
+}
+
+// Run lock. KV has no compare-and-swap, so the lease is written and read back to detect a concurrent
+// writer; a lease older than RUN_LOCK_TTL_SECONDS belongs to a crashed run and is taken over.
+const RUN_LOCK_KV_KEY = 'sync_lock';
+
+function describeRunLock(lock, env) {
+    const ttlSeconds = getNumberSetting(env, 'RUN_LOCK_TTL_SECONDS', 300);
+    const ageSeconds = Math.round((Date.now() - Date.parse(lock.acquiredAt)) / 1000);
+    return { ...lock, ageSeconds, stale: ageSeconds > ttlSeconds };
+}
+
+async function getRunLockState(env) {
+    const lockStr = env.USER_RISK_KV ? await env.USER_RISK_KV.get(RUN_LOCK_KV_KEY) : null;
+    return lockStr ? { locked: true, ...describeRunLock(JSON.parse(lockStr), env) } : { locked: false };
+}
+
+async function acquireRunLock(env, runId, options = {}) {
+    const current = await getRunLockState(env);
+    if (current.locked && !current.stale) {
+        return { acquired: false, current };
+    }
+    if (current.locked) {
+        console.warn(`Taking over stale run lock held by ${current.runId} for ${current.ageSeconds}s`);
+    }
+    
+    const ttlSeconds = getNumberSetting(env, 'RUN_LOCK_TTL_SECONDS', 300);
+    const lock = {
+        runId,
+        trigger: options.trigger || 'scheduled',
+        actor: options.actor || 'cron',
+        acquiredAt: new Date().toISOString()
+    };
+    // KV expires the key itself shortly after the lease, in case the run never releases it
+    await env.USER_RISK_KV.put(RUN_LOCK_KV_KEY, JSON.stringify(lock), { expirationTtl: Math.max(60, ttlSeconds * 2) });
+    
+    // Another run that wrote the lease at the same moment wins if its write landed last
+    const confirmed = await getRunLockState(env);
+    if (confirmed.runId !== runId) {
+        return { acquired: false, current: confirmed };
+    }
+    
+    return { acquired: true, current: confirmed };
+}
+
+async function releaseRunLock(env, runId) {
+    try {
+        const current = await getRunLockState(env);
+        if (current.runId === runId) {
+            await env.USER_RISK_KV.delete(RUN_LOCK_KV_KEY);
+        }
+    } catch (error) {
+        console.error('Failed to release run lock:', error.message);
+    }
+}
+
+// Mass-change circuit breaker. A list diff larger than CIRCUIT_BREAKER_MAX_CHANGES, or larger than
+// CIRCUIT_BREAKER_MAX_PERCENT of a list holding at least CIRCUIT_BREAKER_MIN_LIST_SIZE users, trips it.
+const CIRCUIT_BREAKER_KV_KEY = 'circuit_breaker';
+
+// Returns why a change is too large to apply automatically, or null when it is within the thresholds
+function checkChangeThresholds(env, changeCount, currentCount) {
+    const maxChanges = getNumberSetting(env, 'CIRCUIT_BREAKER_MAX_CHANGES', 100);
+    const maxPercent = getNumberSetting(env, 'CIRCUIT_BREAKER_MAX_PERCENT', 50);
+    const minListSize = getNumberSetting(env, 'CIRCUIT_BREAKER_MIN_LIST_SIZE', 10);
+    
+    if (maxChanges > 0 && changeCount > maxChanges) {
+        return `${changeCount} changes exceed the limit of ${maxChanges}`;
+    }
+    
+    const percent = currentCount > 0 ? (changeCount / currentCount) * 100 : 0;
+    if (maxPercent > 0 && currentCount >= minListSize && percent > maxPercent) {
+        return `${changeCount} changes are ${Math.round(percent)}% of the ${currentCount} listed users, above the limit of ${maxPercent}%`;
+    }
+    
+    return null;
+}
+
+async function getCircuitBreakerState(env) {
+    const stateStr = env.USER_RISK_KV ? await env.USER_RISK_KV.get(CIRCUIT_BREAKER_KV_KEY) : null;
+    return stateStr ? JSON.parse(stateStr) : { tripped: false };
+}
+
+// Identifies the exact emails a list diff appends and removes, so a confirmation can't cover a later, different change
+async function fingerprintListDiff(diff) {
+    const canonical = JSON.stringify([diff.list.id, [...diff.append].sort(), [...diff.remove].sort()]);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Oversized diffs that are not the ones recorded when the breaker tripped
+async function findUnreviewedDiffs(breakerState, oversizedDiffs) {
+    const reviewed = new Map((breakerState.lists || []).map(list => [list.listId, list.fingerprint]));
+    const unreviewed = [];
+    for (const diff of oversizedDiffs) {
+        if (reviewed.get(diff.list.id) !== await fingerprintListDiff(diff)) {
+            unreviewed.push(diff);
+        }
+    }
+    return unreviewed;
+}
+
+async function tripCircuitBreaker(env, runId, oversizedDiffs) {
+    const state = {
+        tripped: true,
+        trippedAt: new Date().toISOString(),
+        runId,
+        lists: await Promise.all(oversizedDiffs.map(async diff => ({
+            key: diff.list.key,
+            listId: diff.list.id,
+            listName: diff.list.name,
+            currentCount: diff.currentEmails.size,
+            expectedCount: diff.members.length,
+            append: diff.append.length,
+            remove: diff.remove.length,
+            reason: diff.circuitBreaker,
+            fingerprint: await fingerprintListDiff(diff)
+        })))
+    };
+    
+    await env.USER_RISK_KV.put(CIRCUIT_BREAKER_KV_KEY, JSON.stringify(state));
+    for (const list of state.lists) {
+        console.error(`Circuit breaker tripped for ${list.listName}: ${list.reason} (+${list.append}, -${list.remove})`);
+    }
+    
+    return state;
+}
+
+// Apply the blocked changes after an operator has checked them, then reset the breaker. If the lists have
+// moved on since the breaker tripped, nothing is applied and the breaker trips again with the current changes.
+async function confirmCircuitBreakerAPI(request, env, config, identity) {
+    // The reason is optional, an empty body is fine
+    const { body, response } = await readJsonObject(request, { optional: true });
+    if (response) return response;
+    
+    try {
+        const state = await getCircuitBreakerState(env);
+        if (!state.tripped) {
+            return jsonResponse({ error: 'Conflict', message: 'The circuit breaker is not tripped' }, 409);
+        }
+        if (getBooleanSetting(env, 'DRY_RUN')) {
+            return jsonResponse({ error: 'Conflict', message: 'DRY_RUN is enabled - nothing would be applied, so the circuit breaker stays tripped' }, 409);
+        }
+        
+        console.warn(`Circuit breaker confirmed by ${describeIdentity(identity)}${body.reason ? `: ${body.reason}` : ''}`);
+        const syncResult = await runRiskSync(env, config, { confirmed: true, trigger: 'circuit-breaker-confirm', actor: describeIdentity(identity) });
+        
+        if (syncResult.success) {
+            await env.USER_RISK_KV.delete(CIRCUIT_BREAKER_KV_KEY);
+        }
+        
+        return jsonResponse({
+            success: syncResult.success,
+            message: syncResult.success
+                ? 'Changes applied and circuit breaker reset'
+                : syncResult.circuitBreaker
+                    ? 'The changes differ from the ones that tripped the circuit breaker - review the new changes and confirm again'
+                    : 'Sync failed - the circuit breaker stays tripped',
+            confirmedBy: describeIdentity(identity),
+            reason: body.reason || null,
+            trippedState: state,
+            circuitBreaker: syncResult.circuitBreaker,
+            summary: syncResult.summary,
+            results: syncResult.results,
+            lock: syncResult.lock,
+            error: syncResult.error
+        }, syncResult.success ? 200 : syncResult.circuitBreaker || syncResult.lock ? 409 : 500);
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to confirm circuit breaker', details: error.message }, 500);
+    }
+}
+
+function getCurrentIdentityAPI(identity) {
+    return jsonResponse({
+        type: identity.type,
+        email: identity.email,
+        commonName: identity.commonName,
+        role: identity.role,
+        permissions: identity.permissions
+    });
+}
+
+async function forceCleanupAPI(env, config, identity) {
+    // Force cleanup by directly calling the main sync logic
+    console.log(`Force cleanup requested by ${describeIdentity(identity)}`);
+    const syncResult = await runRiskSync(env, config, { trigger: 'force-cleanup', actor: describeIdentity(identity), fullReconciliation: true });
+
+    return new Response(JSON.stringify({
+        success: syncResult.success,
+        message: syncResult.success
+            ? "Force cleanup completed - all Gateway lists synchronized with current risk scores"
+            : "Force cleanup failed - see results for details",
+        requestedBy: describeIdentity(identity),
+        results: syncResult.results,
+        dryRun: syncResult.dryRun || false,
+        plan: syncResult.plan,
+        circuitBreaker: syncResult.circuitBreaker,
+        lock: syncResult.lock,
+        error: syncResult.error
+    }), {
+        status: syncResult.success ? 200 : syncResult.circuitBreaker || syncResult.lock ? 409 : 500,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+    });
+}
+
+// Targeted membership changes of a single user. The user is appended to or removed from the mapped list with
+// a PATCH, so the list keeps its ID. A change that goes against the list's membership rule is kept as a pin
+// in KV, which every sync applies on top of the rule so the next run neither undoes nor redoes it; a change
+// in line with the rule clears the user's pin instead. Pins lapse after LIST_PIN_DEFAULT_HOURS unless the
+// change gives its own duration_hours or expires_at.
+const LIST_MEMBER_PINS_KV_KEY = 'list_member_pins';
+
+// Expired pins and pinned additions of users that have become protected since are dropped, so a pin never
+// outlives its expiry or places a protected user in a risk list
+async function loadListMemberPins(env) {
+    const pinsStr = await env.USER_RISK_KV.get(LIST_MEMBER_PINS_KV_KEY);
+    const pins = pinsStr ? JSON.parse(pinsStr) : {};
+    
+    const now = Date.now();
+    const defaultHours = getNumberSetting(env, 'LIST_PIN_DEFAULT_HOURS', 168);
+    const isProtected = getProtectedUserMatcher(env);
+    for (const [listKey, listPins] of Object.entries(pins)) {
+        for (const [email, pin] of Object.entries(listPins)) {
+            // Pins stored before they had an expiry lapse the default duration after they were created
+            const expiresAt = pin.expiresAt ? Date.parse(pin.expiresAt) : Date.parse(pin.createdAt) + defaultHours * 3600 * 1000;
+            if (!(expiresAt > now)) {
+                delete listPins[email];
+            } else if (pin.action === 'add' && isProtected(email)) {
+                console.warn(`Ignoring the pinned addition of protected user ${email} to list ${listKey}`);
+                delete listPins[email];
+            } else {
+                pin.expiresAt = new Date(expiresAt).toISOString();
+            }
+        }
+        if (Object.keys(listPins).length === 0) {
+            delete pins[listKey];
+        }
+    }
+    return pins;
+}
+
+// Pinned additions join the rule's members, pinned removals leave them
+function applyListMemberPins(members, pins = {}) {
+    const kept = members.filter(user => pins[normalizeEmail(user.email)]?.action !== 'remove');
+    const keptEmails = new Set(kept.map(user => normalizeEmail(user.email)));
+    const pinnedAdditions = Object.entries(pins)
+        .filter(([email, pin]) => pin.action === 'add' && !keptEmails.has(email))
+        .map(([email, pin]) => ({ email, max_risk_level: null, event_count: 0, last_event: null, pinned: pin }));
+    return [...kept, ...pinnedAdditions];
+}
+
+// Expiry of a new pin, either an explicit expires_at or duration_hours from now, capped at LIST_PIN_MAX_HOURS
+function getListPinExpiry(env, expiresAt, durationHours) {
+    const maxHours = getNumberSetting(env, 'LIST_PIN_MAX_HOURS', 720);
+    const expiresAtMs = expiresAt
+        ? Date.parse(expiresAt)
+        : Date.now() + Number(durationHours ?? getNumberSetting(env, 'LIST_PIN_DEFAULT_HOURS', 168)) * 3600 * 1000;
+    
+    if (!Number.isFinite(expiresAtMs) || expiresAtMs <= Date.now() + 60 * 1000) {
+        return { response: jsonResponse({ error: 'Invalid request', message: 'The pin must expire at least one minute in the future' }, 400) };
+    }
+    if (expiresAtMs > Date.now() + maxHours * 3600 * 1000) {
+        return { response: jsonResponse({ error: 'Invalid request', message: `Pins may last at most ${maxHours} hours` }, 400) };
+    }
+    return { expiresAt: new Date(expiresAtMs).toISOString() };
+}
+
+// POST /api/lists/:level/members with { email, reason, duration_hours or expires_at }
+async function addListMemberAPI(request, env, config, listKey, identity) {
+    const { body, response } = await readJsonObject(request);
+    if (response) return response;
+    const expiry = getListPinExpiry(env, body.expires_at, body.duration_hours);
+    if (expiry.response) return expiry.response;
+    return changeListMember(env, config, listKey, body.email, 'add', body.reason, identity, expiry.expiresAt);
+}
+
+// DELETE /api/lists/:level/members/:email, with optional ?reason=, ?duration_hours= and ?expires_at=
+function removeListMemberAPI(env, config, url, listKey, email, identity) {
+    const expiry = getListPinExpiry(env, url.searchParams.get('expires_at'), url.searchParams.get('duration_hours') ?? undefined);
+    if (expiry.response) return expiry.response;
+    return changeListMember(env, config, listKey, email, 'remove', url.searchParams.get('reason'), identity, expiry.expiresAt);
+}
+
+async function changeListMember(env, config, listKey, rawEmail, action, rawReason, identity, pinExpiresAt) {
+    const list = config.lists.find(candidate => candidate.key === listKey);
+    if (!list) {
+        return jsonResponse({ error: 'Not found', message: `No mapped list with key "${listKey}" - use one of: ${config.lists.map(candidate => candidate.key).join(', ')}` }, 404);
+    }
+    
+    // Only well-formed emails are added; removal also accepts malformed entries someone put in the list by hand
+    const email = normalizeEmail(rawEmail);
+    if (action === 'add' ? !isValidEmail(email) : !email.includes('@')) {
+        return jsonResponse({ error: 'Invalid request', message: 'A valid email is required' }, 400);
+    }
+    const protectedBy = action === 'add' ? getProtectedUserMatcher(env)(email) : null;
+    if (protectedBy) {
+        return jsonResponse({ error: 'Conflict', message: `${email} is a protected user (${protectedBy}) and cannot be added to a risk list` }, 409);
+    }
+    
+    const actor = describeIdentity(identity);
+    const reason = String(rawReason || '').trim() || null;
+    
+    // Hold the run lock so a sync cannot interleave with the list and KV updates below
+    const lockId = crypto.randomUUID();
+    const lock = await acquireRunLock(env, lockId, { trigger: `list-member-${action}`, actor });
+    if (!lock.acquired) {
+        return jsonResponse({ error: 'Sync already running', message: 'Retry once the running sync has finished', lock: lock.current }, 409);
+    }
+    
+    try {
+        const [categorizedResult, currentResult] = await Promise.all([
+            fetchCategorizedUsers(env, config),
+            fetchGatewayListItems(config.api, list.id, list.key)
+        ]);
+        if (!categorizedResult.success) {
+            return jsonResponse({ error: 'Failed to fetch user risk scores', details: categorizedResult.errors }, 502);
+        }
+        if (currentResult.error) {
+            return jsonResponse({ error: `Failed to fetch Gateway list ${list.name}`, details: currentResult.error }, 502);
+        }
+        
+        const currentItem = currentResult.items.find(item => normalizeEmail(item.value) === email);
+        let auditEntry = null;
+        if ((action === 'add') !== Boolean(currentItem)) {
+            console.log(`${actor} ${action === 'add' ? 'adds' : 'removes'} ${email} ${action === 'add' ? 'to' : 'from'} ${list.name}${reason ? `: ${reason}` : ''}`);
+            const patchBody = action === 'add'
+                ? { append: [{ value: email, description: `Added manually by ${actor}` }] }
+                : { remove: [currentItem.value] };
+            const response = await config.api.request(`/gateway/lists/${list.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(patchBody)
+            });
+            const data = await response.json();
+            auditEntry = await recordListAudit(env, { actor, reason: reason || `manual ${action} of a single member`, listKey: list.key }, {
+                method: 'PATCH',
+                listId: list.id,
+                listName: list.name,
+                added: action === 'add' ? [email] : [],
+                removed: action === 'remove' ? [currentItem.value] : []
+            }, response, data);
+            
+            if (!data.success) {
+                return jsonResponse({ error: `Failed to update Gateway list ${list.name}`, details: data.errors, audit: auditEntry }, 502);
+            }
+        }
+        
+        // Pin the change only when the membership rule disagrees with it
+        const pins = categorizedResult.memberPins;
+        const listPins = { ...pins[list.key] };
+        const ruleIncludes = getListMembers(list, categorizedResult.categorized).some(user => normalizeEmail(user.email) === email);
+        if (ruleIncludes === (action === 'add')) {
+            delete listPins[email];
+        } else {
+            listPins[email] = { action, author: actor, reason, createdAt: new Date().toISOString(), expiresAt: pinExpiresAt };
+        }
+        if (Object.keys(listPins).length > 0) {
+            pins[list.key] = listPins;
+        } else {
+            delete pins[list.key];
+        }
+        await env.USER_RISK_KV.put(LIST_MEMBER_PINS_KV_KEY, JSON.stringify(pins));
+        
+        // Update the user in the stored expected state so the source of truth matches Gateway
+        const expectedStateStr = await env.USER_RISK_KV.get(`gateway_list_${list.id}`);
+        const expectedEmails = (expectedStateStr ? JSON.parse(expectedStateStr).emails : [])
+            .filter(expectedEmail => normalizeEmail(expectedEmail) !== email);
+        if (action === 'add') {
+            expectedEmails.push(email);
+        }
+        await storeExpectedStateInKV(env, list.id, expectedEmails.map(expectedEmail => ({ email: expectedEmail })), list.key);
+        
+        // Read the list back to confirm the change landed
+        const verifiedResult = await fetchGatewayListItems(config.api, list.id, list.key);
+        const members = verifiedResult.error ? null : verifiedResult.items.map(item => item.value).sort();
+        const isMember = members ? members.some(member => normalizeEmail(member) === email) : null;
+        const verified = isMember === (action === 'add');
+        
+        return jsonResponse({
+            success: true,
+            verified,
+            message: verified
+                ? `${email} ${action === 'add' ? 'is now a member of' : 'is no longer a member of'} ${list.name}`
+                : `Change applied but not yet visible in ${list.name} - check the list again shortly`,
+            list: { key: list.key, name: list.name, id: list.id },
+            email,
+            action,
+            member: isMember,
+            pinned: listPins[email] || null,
+            members,
+            audit: auditEntry
+        });
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to update list membership', details: error.message }, 500);
+    } finally {
+        await releaseRunLock(env, lockId);
+    }
+}
+
+// GET /api/lists/pins, soonest to expire first
+async function listListPinsAPI(env) {
+    try {
+        const pins = await loadListMemberPins(env);
+        return jsonResponse({
+            success: true,
+            pins: Object.entries(pins)
+                .flatMap(([listKey, listPins]) => Object.entries(listPins).map(([email, pin]) => ({ listKey, email, ...pin })))
+                .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt))
+        });
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to list pins', details: error.message }, 500);
+    }
+}
+
+// DELETE /api/lists/:level/pins/:email. Only the pin goes; the next sync applies the membership rule to the user.
+async function clearListPinAPI(env, listKey, email, identity) {
+    const normalizedEmail = normalizeEmail(email);
+    const actor = describeIdentity(identity);
+    
+    // Pins are also rewritten by single-user list changes, which hold the run lock
+    const lockId = crypto.randomUUID();
+    const lock = await acquireRunLock(env, lockId, { trigger: 'list-pin-clear', actor });
+    if (!lock.acquired) {
+        return jsonResponse({ error: 'Sync already running', message: 'Retry once the running sync has finished', lock: lock.current }, 409);
+    }
+    
+    try {
+        const pins = await loadListMemberPins(env);
+        const pin = pins[listKey]?.[normalizedEmail];
+        if (!pin) {
+            return jsonResponse({ error: 'Not found', message: `No pin for ${normalizedEmail} on list ${listKey}` }, 404);
+        }
+        
+        delete pins[listKey][normalizedEmail];
+        if (Object.keys(pins[listKey]).length === 0) {
+            delete pins[listKey];
+        }
+        await env.USER_RISK_KV.put(LIST_MEMBER_PINS_KV_KEY, JSON.stringify(pins));
+        console.log(`Pinned ${pin.action} of ${normalizedEmail} on list ${listKey} cleared by ${actor}`);
+        
+        return jsonResponse({
+            success: true,
+            message: 'Pin cleared - the membership rule applies from the next sync',
+            listKey,
+            email: normalizedEmail,
+            pin
+        });
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to clear pin', details: error.message }, 500);
+    } finally {
+        await releaseRunLock(env, lockId);
+    }
+}
+
+async function handleReconciliation(api, lists, env) {
+    try {
+        const reconciliationResults = [];
+        
+        for (const list of lists) {
+            const kvKey = `gateway_list_${list.id}`;
+            const expectedStateStr = await env.USER_RISK_KV.get(kvKey);
+            
+            if (!expectedStateStr) {
+                console.log(`No KV state found for ${list.name} list ${list.id}`);
+                continue;
+            }
+            
+            const expectedState = JSON.parse(expectedStateStr);
+            const expectedEmails = new Set(expectedState.emails);
+            
+            // Get current API state
+            const currentItemsResult = await fetchGatewayListItems(api, list.id);
+            if (currentItemsResult.error) {
+                console.error(`Failed to fetch items for ${list.name} list:`, currentItemsResult.error);
+                continue;
+            }
+            
+            const currentEmails = new Set(currentItemsResult.items.map(item => item.value));
+            
+            // Check for inconsistency
+            const isConsistent = setsEqual(currentEmails, expectedEmails);
+            
+            reconciliationResults.push({
+                listKey: list.key,
+                listId: list.id,
+                listName: list.name,
+                consistent: isConsistent,
+                expectedCount: expectedEmails.size,
+                actualCount: currentEmails.size,
+                expectedEmails: [...expectedEmails],
+                actualEmails: [...currentEmails],
+                lastUpdated: expectedState.lastUpdated,
+                reconciliationNeeded: expectedState.reconciliationNeeded || false
+            });
+            
+            if (!isConsistent) {
+                console.warn(`Inconsistency detected in ${list.name} list ${list.id}`);
+                console.log(`Expected: [${[...expectedEmails].join(', ')}]`);
+                console.log(`Actual: [${[...currentEmails].join(', ')}]`);
+            }
+        }
+        
+        return new Response(JSON.stringify({
+            success: true,
+            timestamp: new Date().toISOString(),
+            reconciliation: reconciliationResults
+        }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+        
+    } catch (error) {
+        console.error('Reconciliation error:', error);
+        return new Response(JSON.stringify({
+            success: false,
+            error: error.message
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+// Self-healing list provisioning. At the start of every sync the mapped lists are checked against the
+// account's Gateway lists; a list that is missing, has an invalid ID or is not an EMAIL list is reported,
+// and with AUTO_PROVISION_LISTS replaced by an existing EMAIL list of the expected name or a new one. The
+// resolved IDs are kept in KV, where loadListMapping picks them up, along with what was replaced so
+// /api/health can point out the policies that still reference the old IDs.
+const LIST_PROVISIONING_KV_KEY = 'list_provisioning';
+
+async function getListProvisioningState(env) {
+    const stateStr = env.USER_RISK_KV ? await env.USER_RISK_KV.get(LIST_PROVISIONING_KV_KEY) : null;
+    return stateStr ? JSON.parse(stateStr) : { checkedAt: null, lists: {}, problems: [] };
+}
+
+async function ensureGatewayLists(env, config, audit = {}) {
+    const response = await config.api.request('/gateway/lists', { method: 'GET' });
+    const data = await response.json();
+    if (!data.success) {
+        console.error('Failed to list Gateway lists, the provisioning check cannot run:', data.errors);
+        return { success: false, errors: data.errors };
+    }
+    
+    const accountLists = data.result || [];
+    const autoProvision = getBooleanSetting(env, 'AUTO_PROVISION_LISTS');
+    const previous = await getListProvisioningState(env);
+    const state = { checkedAt: new Date().toISOString(), lists: {}, problems: [] };
+    
+    for (const list of config.lists) {
+        // Keep earlier replacements while the mapping still holds the ID they replaced
+        const resolved = previous.lists[list.key];
+        if (resolved && resolved.configuredId === list.configuredId && resolved.id === list.id) {
+            state.lists[list.key] = resolved;
+        }
+        
+        const existing = list.id ? accountLists.find(candidate => candidate.id === list.id) : null;
+        const problem = !list.id ? (list.configuredId ? 'invalid list ID' : 'no list ID configured')
+            : !existing ? 'list not found'
+            : existing.type !== 'EMAIL' ? `list type is ${existing.type}, expected EMAIL`
+            : null;
+        if (!problem) continue;
+        
+        console.warn(`Gateway list ${list.name} (${list.id || list.configuredId || 'unset'}): ${problem}`);
+        if (!autoProvision) {
+            state.problems.push({ key: list.key, name: list.name, id: list.id, problem });
+            continue;
+        }
+        
+        // Adopt an EMAIL list with the expected name before creating a duplicate of it
+        const mappedIds = new Set(config.lists.map(candidate => candidate.id));
+        const namesake = accountLists.find(candidate => candidate.name === list.name && candidate.type === 'EMAIL' && !mappedIds.has(candidate.id));
+        let replacementId = namesake?.id || null;
+        if (!replacementId) {
+            const createResponse = await config.api.request('/gateway/lists', {
+                method: 'POST',
+                body: JSON.stringify({ name: list.name, description: `Risk list "${list.key}" (rule: ${list.rule}), provisioned by the UEBA worker`, type: 'EMAIL', items: [] })
+            });
+            const createData = await createResponse.json();
+            await recordListAudit(env, { ...audit, listKey: list.key, reason: `self-healing provisioning: ${problem}` },
+                { method: 'POST', listId: createData.result?.id || null, listName: list.name }, createResponse, createData);
+            if (!createData.success) {
+                console.error(`Failed to create Gateway list ${list.name}:`, createData.errors);
+                state.problems.push({ key: list.key, name: list.name, id: list.id, problem, errors: createData.errors });
+                continue;
+            }
+            replacementId = createData.result.id;
+        }
+        
+        console.warn(`Gateway list ${list.name} ${namesake ? 'adopted' : 'created'} as ${replacementId} - repoint policies that used ${list.id || list.configuredId || 'the old list'}`);
+        state.lists[list.key] = {
+            id: replacementId,
+            configuredId: list.configuredId,
+            previousId: list.id || list.configuredId,
+            name: list.name,
+            action: namesake ? 'adopted' : 'created',
+            problem,
+            resolvedAt: state.checkedAt
+        };
+        list.id = replacementId;
+    }
+    
+    await env.USER_RISK_KV.put(LIST_PROVISIONING_KV_KEY, JSON.stringify(state));
+    return { success: state.problems.length === 0, state };
+}
+
+// Risk-based policy templates. Each renders a Gateway rule or an Access group that references the mapped
+// lists named by listKeys, and is skipped when one of them is not mapped. The rendered name carries the
+// template's tag, which is how the bootstrap finds what it created before and updates it in place.
+const POLICY_TEMPLATES = [
+    {
+        id: 'http-isolate-high',
+        kind: 'gateway_rule',
+        listKeys: ['high'],
+        render: ([high]) => ({
+            name: 'UEBA: Isolate high risk users',
+            description: 'Opens all web traffic of high risk users in Browser Isolation.',
+            action: 'isolate',
+            filters: ['http'],
+            traffic: '',
+            identity: `identity.email in $${high.id}`
+        })
+    },
+    {
+        id: 'http-block-uploads-elevated',
+        kind: 'gateway_rule',
+        listKeys: ['high', 'medium'],
+        render: ([high, medium]) => ({
+            name: 'UEBA: Block document uploads by elevated risk users',
+            description: 'Blocks uploads of office documents and archives by high and medium risk users.',
+            action: 'block',
+            filters: ['http'],
+            traffic: 'any(http.upload.file_types[*] in {"docx" "xlsx" "pptx" "pdf" "zip"})',
+            identity: `identity.email in $${high.id} or identity.email in $${medium.id}`
+        })
+    },
+    {
+        id: 'dns-block-security-high',
+        kind: 'gateway_rule',
+        listKeys: ['high'],
+        render: ([high]) => ({
+            name: 'UEBA: Block security threats for high risk users',
+            description: 'Blocks DNS resolution of security threat categories for high risk users.',
+            action: 'block',
+            filters: ['dns'],
+            traffic: 'any(dns.security_category[*] in {68 178 80 83 176 175 117 131 134 151 153})',
+            identity: `identity.email in $${high.id}`
+        })
+    },
+    {
+        id: 'access-group-high',
+        kind: 'access_group',
+        listKeys: ['high'],
+        render: ([high]) => ({ name: 'UEBA: High risk users', include: [{ email_list: { id: high.id } }], exclude: [], require: [] })
+    },
+    {
+        id: 'access-group-medium',
+        kind: 'access_group',
+        listKeys: ['medium'],
+        render: ([medium]) => ({ name: 'UEBA: Medium risk users', include: [{ email_list: { id: medium.id } }], exclude: [], require: [] })
+    },
+    {
+        id: 'access-group-elevated',
+        kind: 'access_group',
+        listKeys: ['high', 'medium'],
+        render: ([high, medium]) => ({
+            name: 'UEBA: Elevated risk users',
+            include: [{ email_list: { id: high.id } }, { email_list: { id: medium.id } }],
+            exclude: [],
+            require: []
+        })
+    }
+];
+
+const POLICY_COLLECTIONS = {
+    gateway_rule: '/gateway/rules',
+    access_group: '/access/groups'
+};
+
+function getPolicyTag(template) {
+    return `[ueba:${template.id}]`;
+}
+
+async function fetchPolicyCollection(api, kind) {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+        const response = await api.request(`${POLICY_COLLECTIONS[kind]}?page=${page}&per_page=100`, { method: 'GET' });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(`Failed to list ${kind.replace('_', ' ')}s: ${describeRunError(data.errors)}`);
+        }
+        items.push(...(data.result || []));
+        totalPages = data.result_info?.total_pages || 1;
+        page++;
+    } while (page <= totalPages);
+    return items;
+}
+
+// Compare every template with what exists in the account: create, update (listing the fields that differ),
+// unchanged, or skipped when a list it needs is not mapped
+async function buildPolicyPlan(config, templates) {
+    const existing = {
+        gateway_rule: await fetchPolicyCollection(config.api, 'gateway_rule'),
+        access_group: await fetchPolicyCollection(config.api, 'access_group')
+    };
+    
+    return templates.map(template => {
+        const tag = getPolicyTag(template);
+        const lists = template.listKeys.map(key => config.lists.find(list => list.key === key));
+        const missingKey = template.listKeys.find((key, index) => !lists[index] || !lists[index].id);
+        if (missingKey) {
+            return { template: template.id, kind: template.kind, action: 'skipped', reason: `list "${missingKey}" is not mapped` };
+        }
+        
+        const rendered = template.render(lists);
+        const desired = { ...rendered, name: `${rendered.name} ${tag}` };
+        const current = existing[template.kind].find(item => String(item.name || '').includes(tag));
+        if (!current) {
+            return { template: template.id, kind: template.kind, action: 'create', name: desired.name, desired };
+        }
+        
+        const changedFields = Object.keys(desired).filter(field => JSON.stringify(current[field] ?? null) !== JSON.stringify(desired[field]));
+        return {
+            template: template.id,
+            kind: template.kind,
+            action: changedFields.length > 0 ? 'update' : 'unchanged',
+            name: desired.name,
+            id: current.id,
+            changedFields,
+            desired,
+            // Keep settings made by hand that the template does not manage, such as a rule's enabled state
+            current
+        };
+    });
+}
+
+// POST /api/policies/bootstrap with { apply, templates, enabled }. Without apply: true only the plan is
+// returned. templates limits the run to the given template IDs; enabled (default true) applies to newly
+// created Gateway rules, existing rules keep their enabled state.
+async function bootstrapPoliciesAPI(request, config, identity) {
+    // An empty body previews every template
+    const { body, response } = await readJsonObject(request, { optional: true });
+    if (response) return response;
+    
+    const templateIds = body.templates || POLICY_TEMPLATES.map(template => template.id);
+    const unknownIds = Array.isArray(templateIds) ? templateIds.filter(id => !POLICY_TEMPLATES.some(template => template.id === id)) : [];
+    if (!Array.isArray(templateIds) || unknownIds.length > 0) {
+        return jsonResponse({ error: 'Invalid request', message: `templates must list template IDs from: ${POLICY_TEMPLATES.map(template => template.id).join(', ')}` }, 400);
+    }
+    const templates = POLICY_TEMPLATES.filter(template => templateIds.includes(template.id));
+    
+    try {
+        const plan = await buildPolicyPlan(config, templates);
+        if (body.apply !== true) {
+            return jsonResponse({ success: true, applied: false, plan: plan.map(({ current, ...item }) => item) });
+        }
+        
+        console.log(`Policy bootstrap applied by ${describeIdentity(identity)}: ${plan.map(item => `${item.template} ${item.action}`).join(', ')}`);
+        const results = [];
+        for (const item of plan) {
+            const { current, ...result } = item;
+            if (item.action !== 'create' && item.action !== 'update') {
+                results.push(result);
+                continue;
+            }
+            
+            const collection = POLICY_COLLECTIONS[item.kind];
+            const payload = item.kind === 'gateway_rule'
+                ? { ...item.desired, enabled: item.action === 'create' ? body.enabled !== false : current.enabled, ...(current?.precedence !== undefined ? { precedence: current.precedence } : {}) }
+                : item.desired;
+            const response = await config.api.request(item.action === 'create' ? collection : `${collection}/${item.id}`, {
+                method: item.action === 'create' ? 'POST' : 'PUT',
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json();
+            results.push({
+                ...result,
+                success: Boolean(data.success),
+                id: data.result?.id || item.id || null,
+                errors: data.success ? [] : (data.errors || [])
+            });
+        }
+        
+        const success = results.every(result => result.success !== false);
+        return jsonResponse({
+            success,
+            applied: true,
+            requestedBy: describeIdentity(identity),
+            plan: results
+        }, success ? 200 : 502);
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to bootstrap policies', details: error.message }, 502);
+    }
+}
+
+async function createNewGatewayLists(api, env, identity) {
+    try {
+        const audit = { actor: describeIdentity(identity), reason: 'create-new-lists endpoint' };
+        console.log(`Gateway list creation requested by ${describeIdentity(identity)}`);
+        const lists = [
+            {
+                name: "High Risk Users - New",
+                description: "New high risk users list (not protected by policies)",
+                type: "EMAIL"
+            },
+            {
+                name: "Medium Risk Users - New", 
+                description: "New medium risk users list (not protected by policies)",
+                type: "EMAIL"
+            },
+            {
+                name: "Low Risk Users - New",
+                description: "New low risk users list (not protected by policies)", 
+                type: "EMAIL"
+            }
+        ];
+
+        const results = [];
+        
+        for (const listConfig of lists) {
+            const createResult = await api.request('/gateway/lists', {
+                method: 'POST',
+                body: JSON.stringify({
+                    ...listConfig,
+                    items: []
+                })
+            });
+
+            const createData = await createResult.json();
+            await recordListAudit(env, audit, { method: 'POST', listId: createData.result?.id || null, listName: listConfig.name }, createResult, createData);
+            results.push({
+                name: listConfig.name,
+                success: createData.success,
+                listId: createData.result?.id,
+                errors: createData.errors
+            });
+        }
+
+        return new Response(JSON.stringify({
+            success: true,
+            message: "New Gateway lists created",
+            requestedBy: describeIdentity(identity),
+            lists: results,
+            instructions: "Update your wrangler.toml with these new list IDs to use unprotected lists"
+        }), {
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+
+    } catch (error) {
+        return new Response(JSON.stringify({
+            success: false,
+            error: error.message
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+}
+
+// The test endpoints write to the medium list and its KV expected state, so they hold the run lock like a sync
+async function withTestRunLock(env, identity, trigger, runTest) {
+    const lockId = crypto.randomUUID();
+    const lock = await acquireRunLock(env, lockId, { trigger, actor: describeIdentity(identity) });
+    if (!lock.acquired) {
+        return jsonResponse({ error: 'Sync already running', message: 'Retry once the running sync has finished', lock: lock.current }, 409);
+    }
+    
+    try {
+        return await runTest();
+    } finally {
+        await releaseRunLock(env, lockId);
+    }
+}
+
+async function testUserRemoval(api, testList, env, identity) {
+    const { id: mediumRiskListId, name: listName } = testList;
+    try {
+        const testEmail = "test@example.com";
+        const audit = { actor: describeIdentity(identity), reason: 'test-user-removal endpoint' };
+        
+        console.log("Step 1: Adding test user to medium risk list");
+        const addResult = await api.request(`/gateway/lists/${mediumRiskListId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                name: listName,
+                description: "New medium risk users list (not protected by policies)",
+                items: [{ 
+                    value: testEmail,
+                    description: "Test user for removal testing"
+                }]
+            })
+        });
+
+        const addData = await addResult.json();
+        console.log("Add result:", addData);
+        await recordListAudit(env, audit, { method: 'PUT', listId: mediumRiskListId, listName, added: [testEmail] }, addResult, addData);
+
+        // Wait a moment
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        console.log("Step 2: Verifying user was added");
+        const verifyAddResult = await fetchGatewayListItems(api, mediumRiskListId);
+        console.log("Verify add result:", verifyAddResult);
+
+        // Wait a moment
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        console.log("Step 3: Removing test user from medium risk list");
+        const removeResult = await api.request(`/gateway/lists/${mediumRiskListId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                name: listName,
+                description: "New medium risk users list (not protected by policies)",
+                items: [] // Empty list to remove all users
+            })
+        });
+
+        const removeData = await removeResult.json();
+        console.log("Remove result:", removeData);
+        const removedEmails = (verifyAddResult.items || []).map(item => item.value);
+        await recordListAudit(env, audit, { method: 'PUT', listId: mediumRiskListId, listName, removed: removedEmails }, removeResult, removeData);
+
+        // Wait a moment
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        console.log("Step 4: Verifying user was removed");
+        const verifyRemoveResult = await fetchGatewayListItems(api, mediumRiskListId);
+        console.log("Verify remove result:", verifyRemoveResult);
+
+        return new Response(JSON.stringify({
+            success: true,
+            message: "User removal test completed",
+            results: {
+                addStep: { success: addData.success, errors: addData.errors },
+                verifyAdd: { itemCount: verifyAddResult.items?.length || 0, items: verifyAddResult.items },
+                removeStep: { success: removeData.success, errors: removeData.errors },
+                verifyRemove: { itemCount: verifyRemoveResult.items?.length || 0, items: verifyRemoveResult.items }
+            },
+            testPassed: (verifyRemoveResult.items?.length || 0) === 0
+        }), {
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+
+    } catch (error) {
+        return new Response(JSON.stringify({
+            success: false,
+            error: error.message
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+}
+
+async function testClearMethod(api, testList, env, identity) {
+    const { id: mediumRiskListId, name: listName } = testList;
+    try {
+        const testEmail = "test2@example.com";
+        const audit = { actor: describeIdentity(identity), reason: 'test-clear-method endpoint' };
+        
+        console.log("Step 1: Adding test user to medium risk list");
+        const addResult = await api.request(`/gateway/lists/${mediumRiskListId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                name: listName,
+                description: "New medium risk users list (not protected by policies)",
+                items: [{ 
+                    value: testEmail,
+                    description: "Test user for clear method testing"
+                }]
+            })
+        });
+
+        const addData = await addResult.json();
+        console.log("Add result:", addData);
+        await recordListAudit(env, audit, { method: 'PUT', listId: mediumRiskListId, listName, added: [testEmail] }, addResult, addData);
+
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 3000));
+
+        console.log("Step 2: Verifying user was added");
+        const verifyAddResult = await fetchGatewayListItems(api, mediumRiskListId);
+        console.log("Verify add result:", verifyAddResult);
+
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 3000));
+
+        console.log("Step 3: Using PATCH method to clear list");
+        const clearResult = await api.request(`/gateway/lists/${mediumRiskListId}/items`, { method: 'DELETE' });
+
+        const clearData = await clearResult.json();
+        console.log("Clear result:", clearData);
+        const clearedEmails = (verifyAddResult.items || []).map(item => item.value);
+        await recordListAudit(env, audit, { method: 'DELETE', listId: mediumRiskListId, listName, removed: clearedEmails }, clearResult, clearData);
+
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 5000));
+
+        console.log("Step 4: Verifying list was cleared");
+        const verifyClearResult = await fetchGatewayListItems(api, mediumRiskListId);
+        console.log("Verify clear result:", verifyClearResult);
+
+        return new Response(JSON.stringify({
+            success: true,
+            message: "Clear method test completed",
+            results: {
+                addStep: { success: addData.success, errors: addData.errors },
+                verifyAdd: { itemCount: verifyAddResult.items?.length || 0, items: verifyAddResult.items },
+                clearStep: { success: clearData.success, errors: clearData.errors },
+                verifyClear: { itemCount: verifyClearResult.items?.length || 0, items: verifyClearResult.items }
+            },
+            testPassed: (verifyClearResult.items?.length || 0) === 0
+        }), {
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+
+    } catch (error) {
+        return new Response(JSON.stringify({
+            success: false,
+            error: error.message
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+}
+
+async function testKVSync(api, testList, env, identity) {
+    const { id: mediumRiskListId, name: listName } = testList;
+    try {
+        console.log("=== Testing KV-based sync system ===");
+        const audit = { actor: describeIdentity(identity), reason: 'test-kv-sync endpoint' };
+        
+        // Step 1: Store test users in KV (simulating risk scoring results)
+        const testUsers = [
+            { email: "kvtest1@example.com" },
+            { email: "kvtest2@example.com" }
+        ];
+        
+        console.log("Step 1: Storing expected state in KV");
+        await storeExpectedStateInKV(env, mediumRiskListId, testUsers, 'medium');
+        
+        // Step 2: Sync Gateway list from KV
+        console.log("Step 2: Syncing Gateway list from KV");
+        const syncResult = await syncGatewayListFromKV(api, mediumRiskListId, env, listName, null, audit);
+        
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        
+        // Step 3: Verify the sync worked
+        console.log("Step 3: Verifying sync result");
+        const verifyResult = await fetchGatewayListItems(api, mediumRiskListId);
+        
+        // Step 4: Test removal by updating KV with empty list
+        console.log("Step 4: Testing removal - updating KV with empty list");
+        await storeExpectedStateInKV(env, mediumRiskListId, [], 'medium');
+        
+        // Step 5: Sync again to remove users
+        console.log("Step 5: Syncing to remove users");
+        const removeResult = await syncGatewayListFromKV(api, mediumRiskListId, env, listName, null, audit);
+        
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        
+        // Step 6: Verify removal worked
+        console.log("Step 6: Verifying removal");
+        const finalResult = await fetchGatewayListItems(api, mediumRiskListId);
+        
+        return new Response(JSON.stringify({
+            success: true,
+            message: "KV sync test completed",
+            results: {
+                initialSync: {
+                    success: syncResult.success,
+                    added: syncResult.added,
+                    removed: syncResult.removed
+                },
+                afterSync: {
+                    itemCount: verifyResult.items?.length || 0,
+                    items: verifyResult.items?.map(item => item.value) || []
+                },
+                removalSync: {
+                    success: removeResult.success,
+                    added: removeResult.added,
+                    removed: removeResult.removed
+                },
+                afterRemoval: {
+                    itemCount: finalResult.items?.length || 0,
+                    items: finalResult.items?.map(item => item.value) || []
+                }
+            },
+            testPassed: (finalResult.items?.length || 0) === 0
+        }), {
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+
+    } catch (error) {
+        return new Response(JSON.stringify({
+            success: false,
+            error: error.message
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+}
+
+async function testPatchMethod(api, testList, env, identity) {
+    const { id: mediumRiskListId, name: listName } = testList;
+    try {
+        console.log("=== Testing PATCH method for efficient add/remove ===");
+        const audit = { actor: describeIdentity(identity), reason: 'test-patch-method endpoint' };
+        
+        // Step 1: Clear the list first to start with a clean state
+        console.log("Step 1: Clearing list to start with clean state");
+        await storeExpectedStateInKV(env, mediumRiskListId, [], 'medium');
+        await syncGatewayListFromKV(api, mediumRiskListId, env, listName, null, audit);
+        
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        
+        // Step 2: Add some users using PATCH
+        console.log("Step 2: Adding users using PATCH method");
+        const initialUsers = [
+            { email: "patch1@example.com" },
+            { email: "patch2@example.com" }
+        ];
+        
+        await storeExpectedStateInKV(env, mediumRiskListId, initialUsers, 'medium');
+        const addResult = await syncGatewayListFromKV(api, mediumRiskListId, env, listName, null, audit);
+        
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        
+        // Step 3: Verify addition
+        console.log("Step 3: Verifying addition");
+        const verifyAddResult = await fetchGatewayListItems(api, mediumRiskListId);
+        
+        // Step 4: Add more users and remove one (mixed operation)
+        console.log("Step 4: Testing mixed add/remove operation");
+        const updatedUsers = [
+            { email: "patch2@example.com" }, // Keep this one
+            { email: "patch3@example.com" }, // Add this one
+            { email: "patch4@example.com" }  // Add this one
+        ];
+        
+        await storeExpectedStateInKV(env, mediumRiskListId, updatedUsers, 'medium');
+        const mixedResult = await syncGatewayListFromKV(api, mediumRiskListId, env, listName, null, audit);
+        
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        
+        // Step 5: Verify mixed operation
+        console.log("Step 5: Verifying mixed operation");
+        const verifyMixedResult = await fetchGatewayListItems(api, mediumRiskListId);
+        
+        // Step 6: Remove all users
+        console.log("Step 6: Removing all users");
+        await storeExpectedStateInKV(env, mediumRiskListId, [], 'medium');
+        const removeResult = await syncGatewayListFromKV(api, mediumRiskListId, env, listName, null, audit);
+        
+        // Wait for propagation
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        
+        // Step 7: Verify removal
+        console.log("Step 7: Verifying complete removal");
+        const finalResult = await fetchGatewayListItems(api, mediumRiskListId);
+        
         return new Response(JSON.stringify({
             success: true,
-            message: "New Gateway lists created",
-            lists: results,
-            instructions: "Update your wrangler.toml with these new list IDs to use unprotected lists"
+            message: "PATCH method test completed",
+            results: {
+                addOperation: {
+                    success: addResult.success,
+                    method: addResult.method,
+                    added: addResult.added,
+                    removed: addResult.removed
+                },
+                afterAdd: {
+                    itemCount: verifyAddResult.items?.length || 0,
+                    items: verifyAddResult.items?.map(item => item.value) || []
+                },
+                mixedOperation: {
+                    success: mixedResult.success,
+                    method: mixedResult.method,
+                    added: mixedResult.added,
+                    removed: mixedResult.removed
+                },
+                afterMixed: {
+                    itemCount: verifyMixedResult.items?.length || 0,
+                    items: verifyMixedResult.items?.map(item => item.value) || []
+                },
+                removeOperation: {
+                    success: removeResult.success,
+                    method: removeResult.method,
+                    added: removeResult.added,
+                    removed: removeResult.removed
+                },
+                afterRemoval: {
+                    itemCount: finalResult.items?.length || 0,
+                    items: finalResult.items?.map(item => item.value) || []
+                }
+            },
+            testPassed: (finalResult.items?.length || 0) === 0
         }), {
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
         });
@@ -394,376 +2501,792 @@ async function createNewGatewayLists(accountId, apiToken) {
     }
 }
 
-async function testUserRemoval(accountId, apiToken, mediumRiskListId) {
+async function storeExpectedStateInKV(env, listId, users, riskLevel) {
     try {
-        const testEmail = "test@example.com";
+        const kvKey = `gateway_list_${listId}`;
+        const expectedState = {
+            emails: users.map(user => user.email),
+            riskLevel: riskLevel,
+            lastUpdated: new Date().toISOString(),
+            userCount: users.length
+        };
         
-        console.log("Step 1: Adding test user to medium risk list");
-        const addResult = await makeApiRequest(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists/${mediumRiskListId}`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${apiToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                name: "Medium Risk Users - New",
-                description: "New medium risk users list (not protected by policies)",
-                items: [{ 
-                    value: testEmail,
-                    description: "Test user for removal testing"
-                }]
-            })
-        });
-
-        const addData = await addResult.json();
-        console.log("Add result:", addData);
-
-        // Wait a moment
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        await env.USER_RISK_KV.put(kvKey, JSON.stringify(expectedState));
+        // Until the next full sync verifies the new state, the fast path must not trust the old fingerprint
+        await env.USER_RISK_KV.delete(SYNC_FINGERPRINT_KV_KEY);
+        console.log(`Stored expected state for ${riskLevel} risk list: ${users.length} users`);
+        
+        return { success: true, userCount: users.length };
+    } catch (error) {
+        console.error(`Failed to store expected state for ${riskLevel} risk list:`, error);
+        return { success: false, error: error.message };
+    }
+}
 
-        console.log("Step 2: Verifying user was added");
-        const verifyAddResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
-        console.log("Verify add result:", verifyAddResult);
+// Compare each user's level against the previous run and append any change to their history.
+// Users who disappear from the risk summary are recorded as a transition to null.
+async function recordRiskTransitions(env, users, runId) {
+    try {
+        const timestamp = new Date().toISOString();
+        const previousStateStr = await env.USER_RISK_KV.get('user_risk_state');
+        const previousUsers = previousStateStr ? JSON.parse(previousStateStr).users || {} : {};
+        
+        const currentUsers = {};
+        const transitions = [];
+        
+        for (const user of users) {
+            const email = normalizeEmail(user.email);
+            if (!email) continue;
+            
+            const previous = previousUsers[email];
+            const level = user.effective_risk_level;
+            if (previous?.level === level) {
+                currentUsers[email] = previous;
+                continue;
+            }
+            
+            currentUsers[email] = { level, since: timestamp };
+            transitions.push({ email, from: previous?.level || null, to: level, timestamp, runId });
+        }
+        
+        for (const [email, previous] of Object.entries(previousUsers)) {
+            if (!currentUsers[email]) {
+                transitions.push({ email, from: previous.level, to: null, timestamp, runId });
+            }
+        }
+        
+        await appendUserHistory(env, transitions.map(transition => ({
+            email: transition.email,
+            from: transition.from,
+            to: transition.to,
+            timestamp: transition.timestamp,
+            runId: transition.runId
+        })));
+        
+        await env.USER_RISK_KV.put('user_risk_state', JSON.stringify({
+            runId,
+            updatedAt: timestamp,
+            users: currentUsers
+        }));
+        
+        console.log(`Recorded ${transitions.length} risk level transitions for run ${runId}`);
+        return { success: true, transitions, baseline: !previousStateStr };
+    } catch (error) {
+        console.error('Failed to record risk level transitions:', error);
+        return { success: false, error: error.message };
+    }
+}
 
-        // Wait a moment
-        await new Promise(resolve => setTimeout(resolve, 2000));
+// Each user's history costs a KV read and write, so at most HISTORY_MAX_USERS_PER_RUN users are written per run.
+// The entries of the other users wait in HISTORY_PENDING_KV_KEY and are written first by the next runs, which
+// keeps a first run on a large tenant within the Workers KV operation limit.
+const HISTORY_PENDING_KV_KEY = 'user_history_pending';
 
-        console.log("Step 3: Removing test user from medium risk list");
-        const removeResult = await makeApiRequest(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists/${mediumRiskListId}`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${apiToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                name: "Medium Risk Users - New",
-                description: "New medium risk users list (not protected by policies)",
-                items: [] // Empty list to remove all users
-            })
+async function appendUserHistory(env, entries) {
+    const retentionDays = getNumberSetting(env, 'HISTORY_RETENTION_DAYS', 90);
+    const maxEntries = getPositiveIntegerSetting(env, 'HISTORY_MAX_ENTRIES', 500);
+    const maxUsers = getPositiveIntegerSetting(env, 'HISTORY_MAX_USERS_PER_RUN', 200);
+    const cutoff = Date.now() - retentionDays * 86400 * 1000;
+    
+    const pendingStr = await env.USER_RISK_KV.get(HISTORY_PENDING_KV_KEY);
+    const queue = [...(pendingStr ? JSON.parse(pendingStr) : []), ...entries];
+    
+    // Group by user, oldest first, so every user written gets all of their queued entries in one put
+    const byEmail = new Map();
+    for (const { email, ...entry } of queue) {
+        if (!byEmail.has(email)) byEmail.set(email, []);
+        byEmail.get(email).push(entry);
+    }
+    const emails = [...byEmail.keys()];
+    
+    for (const email of emails.slice(0, maxUsers)) {
+        const kvKey = `user_history_${email}`;
+        const historyStr = await env.USER_RISK_KV.get(kvKey);
+        const history = historyStr ? JSON.parse(historyStr) : [];
+        
+        // Drop entries past the retention window and keep at most maxEntries of the newest
+        const retained = [...history, ...byEmail.get(email)]
+            .filter(item => Date.parse(item.timestamp) >= cutoff)
+            .slice(-maxEntries);
+        
+        // The key expires with the retention window, so users with no recent changes do not linger in KV
+        await env.USER_RISK_KV.put(kvKey, JSON.stringify(retained), {
+            expirationTtl: Math.max(60, Math.ceil(retentionDays * 86400))
         });
+    }
+    
+    const deferred = emails.slice(maxUsers).flatMap(email => byEmail.get(email).map(entry => ({ email, ...entry })));
+    if (deferred.length > 0) {
+        console.log(`Deferred the history of ${emails.length - maxUsers} users to the next run`);
+        await env.USER_RISK_KV.put(HISTORY_PENDING_KV_KEY, JSON.stringify(deferred));
+    } else if (pendingStr) {
+        await env.USER_RISK_KV.delete(HISTORY_PENDING_KV_KEY);
+    }
+}
 
-        const removeData = await removeResult.json();
-        console.log("Remove result:", removeData);
-
-        // Wait a moment
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        console.log("Step 4: Verifying user was removed");
-        const verifyRemoveResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
-        console.log("Verify remove result:", verifyRemoveResult);
-
+async function getUserHistoryAPI(env, email) {
+    try {
+        const normalizedEmail = normalizeEmail(email);
+        const [historyStr, stateStr] = await Promise.all([
+            env.USER_RISK_KV.get(`user_history_${normalizedEmail}`),
+            env.USER_RISK_KV.get('user_risk_state')
+        ]);
+        
+        const current = stateStr ? JSON.parse(stateStr).users?.[normalizedEmail] : null;
+        
         return new Response(JSON.stringify({
             success: true,
-            message: "User removal test completed",
-            results: {
-                addStep: { success: addData.success, errors: addData.errors },
-                verifyAdd: { itemCount: verifyAddResult.items?.length || 0, items: verifyAddResult.items },
-                removeStep: { success: removeData.success, errors: removeData.errors },
-                verifyRemove: { itemCount: verifyRemoveResult.items?.length || 0, items: verifyRemoveResult.items }
-            },
-            testPassed: (verifyRemoveResult.items?.length || 0) === 0
+            email: normalizedEmail,
+            currentLevel: current?.level || null,
+            since: current?.since || null,
+            retentionDays: getNumberSetting(env, 'HISTORY_RETENTION_DAYS', 90),
+            history: historyStr ? JSON.parse(historyStr) : []
         }), {
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
         });
-
     } catch (error) {
-        return new Response(JSON.stringify({
-            success: false,
-            error: error.message
-        }), {
+        return new Response(JSON.stringify({ 
+            error: 'Failed to fetch user history', 
+            details: error.message 
+        }), { 
             status: 500,
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
         });
     }
 }
 
-async function testClearMethod(accountId, apiToken, mediumRiskListId) {
+// Per-user drill-down: the individual risk events behind a user's score, from the risk scoring per-user
+// endpoint, next to the user's expected and current membership of every mapped Gateway list
+async function getUserDetailAPI(env, config, userId) {
+    if (!/^[^/?#\s]{1,128}$/.test(userId)) {
+        return jsonResponse({ error: 'Invalid user ID', message: 'Use the user_id reported by /api/user-risk-scores' }, 400);
+    }
+    
     try {
-        const testEmail = "test2@example.com";
+        const response = await config.api.request(`/zt_risk_scoring/${encodeURIComponent(userId)}`, { method: 'GET' });
+        const data = await response.json();
+        if (!data.success) {
+            return jsonResponse({
+                error: response.status === 404 ? 'User not found' : 'Failed to fetch user risk events',
+                details: data.errors
+            }, response.status === 404 ? 404 : 502);
+        }
         
-        console.log("Step 1: Adding test user to medium risk list");
-        const addResult = await makeApiRequest(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists/${mediumRiskListId}`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${apiToken}`,
-                'Content-Type': 'application/json'
+        const detail = data.result || {};
+        const email = normalizeEmail(detail.email);
+        const events = (detail.events || [])
+            .map(event => ({
+                id: event.id,
+                behavior: event.name,
+                risk_level: event.risk_level,
+                timestamp: event.timestamp,
+                details: event.event_details || {}
+            }))
+            .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+        
+        const [gatewayLists, expectedStates] = await Promise.all([
+            fetchMappedGatewayLists(config.api, config.lists),
+            Promise.all(config.lists.map(list => env.USER_RISK_KV.get(`gateway_list_${list.id}`)))
+        ]);
+        const lists = {};
+        config.lists.forEach((list, index) => {
+            const gatewayList = gatewayLists.lists[list.key];
+            const expectedEmails = expectedStates[index] ? JSON.parse(expectedStates[index]).emails : [];
+            lists[list.key] = {
+                listName: list.name,
+                listId: list.id,
+                expected: expectedEmails.some(expectedEmail => normalizeEmail(expectedEmail) === email),
+                inGateway: gatewayList.error ? null : gatewayList.items.some(item => normalizeEmail(item.value) === email),
+                error: gatewayList.error || null
+            };
+        });
+        
+        return jsonResponse({
+            success: true,
+            user: {
+                user_id: userId,
+                email,
+                name: detail.name || null,
+                risk_level: detail.risk_level || null,
+                last_reset_time: detail.last_reset_time || null
             },
-            body: JSON.stringify({
-                name: "Medium Risk Users - New",
-                description: "New medium risk users list (not protected by policies)",
-                items: [{ 
-                    value: testEmail,
-                    description: "Test user for clear method testing"
-                }]
-            })
+            events,
+            lists
         });
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to fetch user details', details: error.message }, 500);
+    }
+}
 
-        const addData = await addResult.json();
-        console.log("Add result:", addData);
-
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 3000));
-
-        console.log("Step 2: Verifying user was added");
-        const verifyAddResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
-        console.log("Verify add result:", verifyAddResult);
-
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 3000));
+// Risk score resets. Each reset is logged under a newest-first key with the operator, their reason and the
+// level the user had, kept as long as the audit trail.
+const RISK_RESET_PREFIX = 'risk_reset_';
 
-        console.log("Step 3: Using PATCH method to clear list");
-        const clearResult = await makeApiRequest(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists/${mediumRiskListId}/items`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${apiToken}`,
-                'Content-Type': 'application/json'
-            }
+// POST /api/users/:user_id/reset-risk with { reason }. Clears the user's risk score in Zero Trust, drops their
+// de-escalation dwell tracking and re-runs the sync straight away so they leave the elevated lists now
+// rather than on the next cron run. Manual overrides still apply.
+async function resetUserRiskAPI(request, env, config, userId, identity) {
+    if (!/^[^/?#\s]{1,128}$/.test(userId)) {
+        return jsonResponse({ error: 'Invalid user ID', message: 'Use the user_id reported by /api/user-risk-scores' }, 400);
+    }
+    
+    const { body, response: invalidBody } = await readJsonObject(request);
+    if (invalidBody) return invalidBody;
+    const reason = String(body.reason || '').trim();
+    if (!reason) {
+        return jsonResponse({ error: 'Invalid request', message: 'A reason is required' }, 400);
+    }
+    
+    // A running sync would write back the dwell state it read before the reset, so the reset
+    // waits for it and holds the lock until the user's dwell tracking is cleared
+    const lockId = crypto.randomUUID();
+    const lock = await acquireRunLock(env, lockId, { trigger: 'reset-risk', actor: describeIdentity(identity) });
+    if (!lock.acquired) {
+        return jsonResponse({ error: 'Sync already running', message: 'Retry once the running sync has finished', lock: lock.current }, 409);
+    }
+    
+    try {
+        const path = `/zt_risk_scoring/${encodeURIComponent(userId)}`;
+        const detailResponse = await config.api.request(path, { method: 'GET' });
+        const detailData = await detailResponse.json();
+        if (!detailData.success) {
+            return jsonResponse({
+                error: detailResponse.status === 404 ? 'User not found' : 'Failed to fetch user risk score',
+                details: detailData.errors
+            }, detailResponse.status === 404 ? 404 : 502);
+        }
+        const email = normalizeEmail(detailData.result.email);
+        
+        console.log(`Risk score reset of ${email} requested by ${describeIdentity(identity)}: ${reason}`);
+        const response = await config.api.request(`${path}/reset`, { method: 'POST' });
+        const data = await response.json();
+        
+        const timestamp = new Date();
+        const record = {
+            id: crypto.randomUUID(),
+            timestamp: timestamp.toISOString(),
+            actor: describeIdentity(identity),
+            userId,
+            email,
+            previousLevel: detailData.result.risk_level || null,
+            reason,
+            success: Boolean(data.success),
+            status: response.status,
+            responseId: response.headers.get('cf-ray') || null,
+            errors: data.success ? [] : (data.errors || []),
+            runId: null
+        };
+        
+        // The reset has happened at Cloudflare, so it is logged before the follow-up sync can fail
+        const recordKey = getNewestFirstKey(RISK_RESET_PREFIX, timestamp, record.id);
+        const retentionDays = getNumberSetting(env, 'AUDIT_RETENTION_DAYS', 365);
+        const saveRecord = () => env.USER_RISK_KV.put(recordKey, JSON.stringify(record), {
+            ...(retentionDays > 0 ? { expirationTtl: Math.max(60, Math.round(retentionDays * 86400)) } : {}),
+            metadata: { timestamp: record.timestamp, email }
         });
+        await saveRecord();
+        
+        if (!data.success) {
+            return jsonResponse({ error: 'Failed to reset risk score', details: data.errors, reset: record }, 502);
+        }
+        
+        let syncResult;
+        try {
+            await clearDwellState(env, email);
+            await releaseRunLock(env, lockId);
+            syncResult = await runRiskSync(env, config, {
+                trigger: 'reset-risk',
+                actor: record.actor,
+                reason: `risk score of ${email} reset (${reason})`
+            });
+        } catch (error) {
+            console.error(`Follow-up sync after the risk score reset of ${email} failed:`, error.message);
+            syncResult = { success: false, error: error.message };
+        }
+        if (syncResult.runId) {
+            record.runId = syncResult.runId;
+            await saveRecord();
+        }
+        
+        // The reset itself stands either way; a failed resync is reported as partial
+        return jsonResponse({
+            success: syncResult.success,
+            partial: !syncResult.success,
+            message: syncResult.success
+                ? `Risk score of ${email} reset and Gateway lists synchronized`
+                : 'Risk score reset, but the follow-up sync did not complete - the next scheduled run will apply it',
+            reset: record,
+            results: syncResult.results,
+            circuitBreaker: syncResult.circuitBreaker,
+            lock: syncResult.lock,
+            error: syncResult.error
+        }, syncResult.success ? 200 : syncResult.circuitBreaker || syncResult.lock ? 409 : 500);
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to reset risk score', details: error.message }, 500);
+    } finally {
+        await releaseRunLock(env, lockId);
+    }
+}
 
-        const clearData = await clearResult.json();
-        console.log("Clear result:", clearData);
+// Forget a user's dwell tracking so hysteresis does not hold them at their old level after a reset
+async function clearDwellState(env, email) {
+    const stateStr = await env.USER_RISK_KV.get('user_dwell_state');
+    if (!stateStr) return;
+    
+    const state = JSON.parse(stateStr);
+    if (state.users && state.users[email]) {
+        delete state.users[email];
+        await env.USER_RISK_KV.put('user_dwell_state', JSON.stringify(state));
+    }
+}
 
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 5000));
+// GET /api/risk-resets, newest first. ?user= filters by email, ?limit= and ?cursor= page through the log.
+async function listRiskResetsAPI(env, url) {
+    const user = url.searchParams.get('user') ? normalizeEmail(url.searchParams.get('user')) : null;
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 200);
+    
+    let position;
+    try {
+        position = decodeScanCursor(url.searchParams.get('cursor'));
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid cursor', message: 'cursor must come from a previous /api/risk-resets response' }, 400);
+    }
+    
+    try {
+        const { values: resets, next } = await scanNewestFirst(env.USER_RISK_KV, RISK_RESET_PREFIX, position, limit,
+            metadata => !user || metadata.email === user
+        );
+        return jsonResponse({ success: true, resets, cursor: encodeScanCursor(next) });
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to list risk resets', details: error.message }, 500);
+    }
+}
 
-        console.log("Step 4: Verifying list was cleared");
-        const verifyClearResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
-        console.log("Verify clear result:", verifyClearResult);
+// Risk scoring behaviors decide which activity feeds max_risk_level and at which level. Every change made
+// through the worker is logged under a newest-first key with the operator, reason and old and new values.
+const BEHAVIOR_CHANGE_PREFIX = 'behavior_change_';
 
-        return new Response(JSON.stringify({
-            success: true,
-            message: "Clear method test completed",
-            results: {
-                addStep: { success: addData.success, errors: addData.errors },
-                verifyAdd: { itemCount: verifyAddResult.items?.length || 0, items: verifyAddResult.items },
-                clearStep: { success: clearData.success, errors: clearData.errors },
-                verifyClear: { itemCount: verifyClearResult.items?.length || 0, items: verifyClearResult.items }
-            },
-            testPassed: (verifyClearResult.items?.length || 0) === 0
-        }), {
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-        });
+async function fetchRiskBehaviors(api) {
+    const response = await api.request('/zt_risk_scoring/behaviors', { method: 'GET' });
+    const data = await response.json();
+    return { success: Boolean(data.success), errors: data.errors, behaviors: data.success ? data.result.behaviors || {} : {} };
+}
 
+function describeBehaviors(behaviors) {
+    return Object.entries(behaviors)
+        .map(([id, behavior]) => ({
+            id,
+            name: behavior.name || id,
+            description: behavior.description || '',
+            enabled: Boolean(behavior.enabled),
+            risk_level: behavior.risk_level
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getRiskBehaviorsAPI(config) {
+    try {
+        const result = await fetchRiskBehaviors(config.api);
+        if (!result.success) {
+            return jsonResponse({ error: 'Failed to fetch risk behaviors', details: result.errors }, 502);
+        }
+        return jsonResponse({ success: true, behaviors: describeBehaviors(result.behaviors) });
     } catch (error) {
-        return new Response(JSON.stringify({
-            success: false,
-            error: error.message
-        }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-        });
+        return jsonResponse({ error: 'Failed to fetch risk behaviors', details: error.message }, 500);
     }
 }
 
-async function testKVSync(accountId, apiToken, mediumRiskListId, env) {
+// PUT /api/risk-behaviors with { behaviors: { <id>: { enabled, risk_level } }, reason }. Either field may be
+// left out to keep its current value; behaviors not mentioned are sent back unchanged.
+async function updateRiskBehaviorsAPI(request, env, config, identity) {
+    const { body, response } = await readJsonObject(request);
+    if (response) return response;
+    
+    const updates = body.behaviors;
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+        return jsonResponse({ error: 'Invalid request', message: 'behaviors must map behavior IDs to { enabled, risk_level }' }, 400);
+    }
+    for (const [id, update] of Object.entries(updates)) {
+        if (!update || typeof update !== 'object' || Array.isArray(update)) {
+            return jsonResponse({ error: 'Invalid request', message: `The update of ${id} must be an object of { enabled, risk_level }` }, 400);
+        }
+        if (update.enabled !== undefined && typeof update.enabled !== 'boolean') {
+            return jsonResponse({ error: 'Invalid request', message: `enabled of ${id} must be true or false` }, 400);
+        }
+        if (update.risk_level !== undefined && !OVERRIDE_LEVELS.includes(update.risk_level)) {
+            return jsonResponse({ error: 'Invalid request', message: `risk_level of ${id} must be one of: ${OVERRIDE_LEVELS.join(', ')}` }, 400);
+        }
+    }
+    
     try {
-        console.log("=== Testing KV-based sync system ===");
-        
-        // Step 1: Store test users in KV (simulating risk scoring results)
-        const testUsers = [
-            { email: "kvtest1@example.com" },
-            { email: "kvtest2@example.com" }
-        ];
-        
-        console.log("Step 1: Storing expected state in KV");
-        await storeExpectedStateInKV(env, mediumRiskListId, testUsers, 'medium');
+        const current = await fetchRiskBehaviors(config.api);
+        if (!current.success) {
+            return jsonResponse({ error: 'Failed to fetch risk behaviors', details: current.errors }, 502);
+        }
         
-        // Step 2: Sync Gateway list from KV
-        console.log("Step 2: Syncing Gateway list from KV");
-        const syncResult = await syncGatewayListFromKV(accountId, apiToken, mediumRiskListId, env, 'Medium Risk Users - New');
+        const unknownIds = Object.keys(updates).filter(id => !current.behaviors[id]);
+        if (unknownIds.length > 0) {
+            return jsonResponse({ error: 'Invalid request', message: `Unknown behaviors: ${unknownIds.join(', ')}` }, 400);
+        }
         
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        const changes = [];
+        const payload = {};
+        for (const [id, behavior] of Object.entries(current.behaviors)) {
+            const next = { enabled: behavior.enabled, risk_level: behavior.risk_level, ...updates[id] };
+            for (const field of ['enabled', 'risk_level']) {
+                if (next[field] !== behavior[field]) {
+                    changes.push({ behavior: id, name: behavior.name || id, field, from: behavior[field], to: next[field] });
+                }
+            }
+            payload[id] = { enabled: next.enabled, risk_level: next.risk_level };
+        }
         
-        // Step 3: Verify the sync worked
-        console.log("Step 3: Verifying sync result");
-        const verifyResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
+        if (changes.length === 0) {
+            return jsonResponse({ success: true, message: 'No changes', changes, behaviors: describeBehaviors(current.behaviors) });
+        }
         
-        // Step 4: Test removal by updating KV with empty list
-        console.log("Step 4: Testing removal - updating KV with empty list");
-        await storeExpectedStateInKV(env, mediumRiskListId, [], 'medium');
+        console.log(`Risk behavior changes by ${describeIdentity(identity)}: ${changes.map(change => `${change.behavior}.${change.field} ${change.from} -> ${change.to}`).join(', ')}`);
+        const response = await config.api.request('/zt_risk_scoring/behaviors', {
+            method: 'PUT',
+            body: JSON.stringify({ behaviors: payload })
+        });
+        const data = await response.json();
         
-        // Step 5: Sync again to remove users
-        console.log("Step 5: Syncing to remove users");
-        const removeResult = await syncGatewayListFromKV(accountId, apiToken, mediumRiskListId, env, 'Medium Risk Users - New');
+        const timestamp = new Date();
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: timestamp.toISOString(),
+            actor: describeIdentity(identity),
+            reason: String(body.reason || '').trim() || null,
+            changes,
+            success: Boolean(data.success),
+            status: response.status,
+            responseId: response.headers.get('cf-ray') || null,
+            errors: data.success ? [] : (data.errors || [])
+        };
+        const retentionDays = getNumberSetting(env, 'AUDIT_RETENTION_DAYS', 365);
+        await env.USER_RISK_KV.put(getNewestFirstKey(BEHAVIOR_CHANGE_PREFIX, timestamp, entry.id), JSON.stringify(entry), {
+            ...(retentionDays > 0 ? { expirationTtl: Math.max(60, Math.round(retentionDays * 86400)) } : {}),
+            metadata: { timestamp: entry.timestamp }
+        });
         
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        if (!data.success) {
+            return jsonResponse({ error: 'Failed to update risk behaviors', details: data.errors, change: entry }, 502);
+        }
         
-        // Step 6: Verify removal worked
-        console.log("Step 6: Verifying removal");
-        const finalResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
+        return jsonResponse({
+            success: true,
+            message: `Updated ${changes.length} behavior setting${changes.length === 1 ? '' : 's'}`,
+            change: entry,
+            behaviors: describeBehaviors(data.result.behaviors || {})
+        });
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to update risk behaviors', details: error.message }, 500);
+    }
+}
+
+// GET /api/risk-behaviors/changes, newest first. ?limit= and ?cursor= page through the log.
+async function listBehaviorChangesAPI(env, url) {
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 200);
+    
+    let position;
+    try {
+        position = decodeScanCursor(url.searchParams.get('cursor'));
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid cursor', message: 'cursor must come from a previous /api/risk-behaviors/changes response' }, 400);
+    }
+    
+    try {
+        const { values: changes, next } = await scanNewestFirst(env.USER_RISK_KV, BEHAVIOR_CHANGE_PREFIX, position, limit, () => true);
+        return jsonResponse({ success: true, changes, cursor: encodeScanCursor(next) });
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to list behavior changes', details: error.message }, 500);
+    }
+}
+
+// Manual risk overrides pin a user to a level until they expire
+const OVERRIDE_LEVELS = ['high', 'medium', 'low'];
+
+// Load every unexpired override from KV, keyed by normalized email
+async function loadActiveOverrides(env) {
+    const overrides = new Map();
+    if (!env.USER_RISK_KV) return overrides;
+    
+    const now = Date.now();
+    let cursor;
+    do {
+        const page = await env.USER_RISK_KV.list({ prefix: 'override_', cursor });
+        for (const key of page.keys) {
+            const overrideStr = await env.USER_RISK_KV.get(key.name);
+            if (!overrideStr) continue;
+            
+            // KV expiration is eventually consistent, so check the expiry ourselves as well
+            const override = JSON.parse(overrideStr);
+            if (Date.parse(override.expiresAt) > now) {
+                overrides.set(override.email, override);
+            }
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    
+    return overrides;
+}
+
+async function listOverridesAPI(env) {
+    try {
+        const overrides = await loadActiveOverrides(env);
         
         return new Response(JSON.stringify({
             success: true,
-            message: "KV sync test completed",
-            results: {
-                initialSync: {
-                    success: syncResult.success,
-                    added: syncResult.added,
-                    removed: syncResult.removed
-                },
-                afterSync: {
-                    itemCount: verifyResult.items?.length || 0,
-                    items: verifyResult.items?.map(item => item.value) || []
-                },
-                removalSync: {
-                    success: removeResult.success,
-                    added: removeResult.added,
-                    removed: removeResult.removed
-                },
-                afterRemoval: {
-                    itemCount: finalResult.items?.length || 0,
-                    items: finalResult.items?.map(item => item.value) || []
-                }
-            },
-            testPassed: (finalResult.items?.length || 0) === 0
+            overrides: [...overrides.values()].sort((a, b) => a.expiresAt.localeCompare(b.expiresAt))
         }), {
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
         });
-
     } catch (error) {
-        return new Response(JSON.stringify({
-            success: false,
-            error: error.message
-        }), {
+        return new Response(JSON.stringify({ 
+            error: 'Failed to list overrides', 
+            details: error.message 
+        }), { 
             status: 500,
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
         });
     }
 }
 
-async function testPatchMethod(accountId, apiToken, mediumRiskListId, env) {
+async function createOverrideAPI(request, env, identity) {
+    const { body, response } = await readJsonObject(request);
+    if (response) return response;
+    
+    const email = normalizeEmail(body.email);
+    const level = String(body.level || '').toLowerCase();
+    const reason = String(body.reason || '').trim();
+    
+    if (!isValidEmail(email)) {
+        return jsonResponse({ error: 'Invalid request', message: 'A valid email is required' }, 400);
+    }
+    if (!OVERRIDE_LEVELS.includes(level)) {
+        return jsonResponse({ error: 'Invalid request', message: `level must be one of: ${OVERRIDE_LEVELS.join(', ')}` }, 400);
+    }
+    if (!reason) {
+        return jsonResponse({ error: 'Invalid request', message: 'A reason is required' }, 400);
+    }
+    
+    // Expiry is either an explicit expires_at or duration_hours from now, capped at OVERRIDE_MAX_HOURS
+    const maxHours = getNumberSetting(env, 'OVERRIDE_MAX_HOURS', 720);
+    const expiresAtMs = body.expires_at
+        ? Date.parse(body.expires_at)
+        : Date.now() + Number(body.duration_hours ?? getNumberSetting(env, 'OVERRIDE_DEFAULT_HOURS', 24)) * 3600 * 1000;
+    
+    if (!Number.isFinite(expiresAtMs) || expiresAtMs <= Date.now() + 60 * 1000) {
+        return jsonResponse({ error: 'Invalid request', message: 'The override must expire at least one minute in the future' }, 400);
+    }
+    if (expiresAtMs > Date.now() + maxHours * 3600 * 1000) {
+        return jsonResponse({ error: 'Invalid request', message: `Overrides may last at most ${maxHours} hours` }, 400);
+    }
+    
     try {
-        console.log("=== Testing PATCH method for efficient add/remove ===");
-        
-        // Step 1: Clear the list first to start with a clean state
-        console.log("Step 1: Clearing list to start with clean state");
-        await storeExpectedStateInKV(env, mediumRiskListId, [], 'medium');
-        await syncGatewayListFromKV(accountId, apiToken, mediumRiskListId, env, 'Medium Risk Users - New');
-        
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Step 2: Add some users using PATCH
-        console.log("Step 2: Adding users using PATCH method");
-        const initialUsers = [
-            { email: "patch1@example.com" },
-            { email: "patch2@example.com" }
-        ];
-        
-        await storeExpectedStateInKV(env, mediumRiskListId, initialUsers, 'medium');
-        const addResult = await syncGatewayListFromKV(accountId, apiToken, mediumRiskListId, env, 'Medium Risk Users - New');
-        
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        // Step 3: Verify addition
-        console.log("Step 3: Verifying addition");
-        const verifyAddResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
-        
-        // Step 4: Add more users and remove one (mixed operation)
-        console.log("Step 4: Testing mixed add/remove operation");
-        const updatedUsers = [
-            { email: "patch2@example.com" }, // Keep this one
-            { email: "patch3@example.com" }, // Add this one
-            { email: "patch4@example.com" }  // Add this one
-        ];
-        
-        await storeExpectedStateInKV(env, mediumRiskListId, updatedUsers, 'medium');
-        const mixedResult = await syncGatewayListFromKV(accountId, apiToken, mediumRiskListId, env, 'Medium Risk Users - New');
-        
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        const override = {
+            email,
+            level,
+            reason,
+            author: describeIdentity(identity),
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(expiresAtMs).toISOString()
+        };
         
-        // Step 5: Verify mixed operation
-        console.log("Step 5: Verifying mixed operation");
-        const verifyMixedResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
+        await env.USER_RISK_KV.put(`override_${email}`, JSON.stringify(override), {
+            expiration: Math.ceil(expiresAtMs / 1000)
+        });
+        console.log(`Override set by ${override.author}: ${email} pinned to ${level} until ${override.expiresAt} (${reason})`);
         
-        // Step 6: Remove all users
-        console.log("Step 6: Removing all users");
-        await storeExpectedStateInKV(env, mediumRiskListId, [], 'medium');
-        const removeResult = await syncGatewayListFromKV(accountId, apiToken, mediumRiskListId, env, 'Medium Risk Users - New');
+        return jsonResponse({
+            success: true,
+            message: 'Override saved - it will be applied on the next sync',
+            override
+        }, 201);
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to save override', details: error.message }, 500);
+    }
+}
+
+async function deleteOverrideAPI(env, email, identity) {
+    try {
+        const normalizedEmail = normalizeEmail(email);
+        const kvKey = `override_${normalizedEmail}`;
         
-        // Wait for propagation
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        if (!(await env.USER_RISK_KV.get(kvKey))) {
+            return jsonResponse({ error: 'Not found', message: `No override for ${normalizedEmail}` }, 404);
+        }
         
-        // Step 7: Verify removal
-        console.log("Step 7: Verifying complete removal");
-        const finalResult = await fetchGatewayListItems(accountId, apiToken, mediumRiskListId);
+        await env.USER_RISK_KV.delete(kvKey);
+        console.log(`Override for ${normalizedEmail} removed by ${describeIdentity(identity)}`);
         
-        return new Response(JSON.stringify({
+        return jsonResponse({
             success: true,
-            message: "PATCH method test completed",
-            results: {
-                addOperation: {
-                    success: addResult.success,
-                    method: addResult.method,
-                    added: addResult.added,
-                    removed: addResult.removed
-                },
-                afterAdd: {
-                    itemCount: verifyAddResult.items?.length || 0,
-                    items: verifyAddResult.items?.map(item => item.value) || []
-                },
-                mixedOperation: {
-                    success: mixedResult.success,
-                    method: mixedResult.method,
-                    added: mixedResult.added,
-                    removed: mixedResult.removed
-                },
-                afterMixed: {
-                    itemCount: verifyMixedResult.items?.length || 0,
-                    items: verifyMixedResult.items?.map(item => item.value) || []
-                },
-                removeOperation: {
-                    success: removeResult.success,
-                    method: removeResult.method,
-                    added: removeResult.added,
-                    removed: removeResult.removed
-                },
-                afterRemoval: {
-                    itemCount: finalResult.items?.length || 0,
-                    items: finalResult.items?.map(item => item.value) || []
-                }
-            },
-            testPassed: (finalResult.items?.length || 0) === 0
-        }), {
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+            message: 'Override removed - the scored risk level applies from the next sync',
+            email: normalizedEmail
         });
-
     } catch (error) {
-        return new Response(JSON.stringify({
-            success: false,
-            error: error.message
-        }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-        });
+        return jsonResponse({ error: 'Failed to remove override', details: error.message }, 500);
     }
 }
 
-async function storeExpectedStateInKV(env, listId, users, riskLevel) {
+// Webhook notifications for risk level changes
+const RISK_LEVEL_RANK = { low: 1, medium: 2, high: 3 };
+
+// WEBHOOK_TARGETS is a JSON array of { "url": "...", "format": "slack" | "json" }
+function getWebhookTargets(env) {
+    if (!env.WEBHOOK_TARGETS) return [];
+    
     try {
-        const kvKey = `gateway_list_${listId}`;
-        const expectedState = {
-            emails: users.map(user => user.email),
-            riskLevel: riskLevel,
-            lastUpdated: new Date().toISOString(),
-            userCount: users.length
-        };
+        const targets = JSON.parse(env.WEBHOOK_TARGETS);
+        return (Array.isArray(targets) ? targets : [targets])
+            .filter(target => target && /^https?:\/\//i.test(target.url || ''))
+            .map(target => ({ url: target.url, format: target.format === 'slack' ? 'slack' : 'json' }));
+    } catch (error) {
+        console.error('Invalid WEBHOOK_TARGETS configuration:', error.message);
+        return [];
+    }
+}
+
+async function signWebhookPayload(secret, timestamp, body) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+    return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The lists a user joined or left are taken from the emails each list sync appended or removed
+function buildRiskChangeEvent(transition, lists, syncResults, account) {
+    const escalated = (RISK_LEVEL_RANK[transition.to] || 0) > (RISK_LEVEL_RANK[transition.from] || 0);
+    const changedLists = direction => lists
+        .filter(list => (syncResults[list.key]?.[direction] || []).some(email => normalizeEmail(email) === transition.email))
+        .map(list => ({ key: list.key, id: list.id, name: list.name }));
+    
+    return {
+        type: escalated ? 'risk_level.escalated' : 'risk_level.deescalated',
+        account,
+        user: transition.email,
+        old_level: transition.from,
+        new_level: transition.to,
+        lists_joined: changedLists('addedEmails'),
+        lists_left: changedLists('removedEmails'),
+        lists_synced: lists.every(list => syncResults[list.key]?.success),
+        timestamp: transition.timestamp,
+        run_id: transition.runId
+    };
+}
+
+function formatSlackMessage(event) {
+    const icon = event.type === 'risk_level.escalated' ? (event.new_level === 'high' ? '🚨' : '⚠️') : '✅';
+    const verb = event.type === 'risk_level.escalated' ? 'escalated' : 'de-escalated';
+    const listChanges = [
+        ...event.lists_joined.map(list => `added to ${list.name}`),
+        ...event.lists_left.map(list => `removed from ${list.name}`)
+    ];
+    const listChange = listChanges.length > 0 ? ` (${listChanges.join(', ')})` : '';
+    
+    return {
+        text: `${icon} ${event.account && event.account !== 'default' ? `[${event.account}] ` : ''}*${event.user}* ${verb} from ${event.old_level || 'none'} to ${event.new_level || 'none'} risk${listChange} at ${event.timestamp}`
+    };
+}
+
+async function deliverWebhook(env, target, event) {
+    const body = JSON.stringify(target.format === 'slack' ? formatSlackMessage(event) : event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-UEBA-Event': event.type,
+        'X-UEBA-Timestamp': timestamp
+    };
+    
+    if (env.WEBHOOK_SECRET) {
+        headers['X-UEBA-Signature'] = `sha256=${await signWebhookPayload(env.WEBHOOK_SECRET, timestamp, body)}`;
+    }
+    
+    // makeApiRequest retries 429 and 5xx responses with exponential backoff
+    const response = await makeApiRequest(target.url, { method: 'POST', headers, body });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
+// Send one event per transition to every webhook target. Transitions already notified within
+// WEBHOOK_DEDUP_TTL_SECONDS are skipped so a flapping score does not repeat the same alert every minute.
+// user_risk_state has already moved on when this runs, so events that reached no target are kept under
+// WEBHOOK_PENDING_KV_KEY and sent again, before new events, by the following runs for WEBHOOK_RETRY_HOURS.
+const WEBHOOK_PENDING_KV_KEY = 'webhook_pending';
+const WEBHOOK_PENDING_MAX_EVENTS = 500;
+
+async function notifyRiskChanges(env, transitions, lists, syncResults) {
+    const targets = getWebhookTargets(env);
+    if (targets.length === 0) return { success: true, sent: 0 };
+    
+    const pendingStr = await env.USER_RISK_KV.get(WEBHOOK_PENDING_KV_KEY);
+    const retryCutoff = Date.now() - getNumberSetting(env, 'WEBHOOK_RETRY_HOURS', 24) * 3600 * 1000;
+    const pending = (pendingStr ? JSON.parse(pendingStr) : []).filter(item => Date.parse(item.event.timestamp) >= retryCutoff);
+    
+    const notifyLevels = parseCommaList(env.WEBHOOK_NOTIFY_LEVELS || 'high,medium');
+    const queue = [...pending];
+    for (const transition of transitions) {
+        if (!notifyLevels.includes(transition.from) && !notifyLevels.includes(transition.to)) continue;
+        queue.push({
+            dedupKey: `webhook_sent_${transition.email}_${transition.from || 'none'}_${transition.to || 'none'}`,
+            event: buildRiskChangeEvent(transition, lists, syncResults, env.TENANT?.id || 'default')
+        });
+    }
+    if (queue.length === 0 && !pendingStr) return { success: true, sent: 0 };
+    
+    const dedupTtl = Math.max(60, getNumberSetting(env, 'WEBHOOK_DEDUP_TTL_SECONDS', 3600));
+    const undelivered = [];
+    let sent = 0;
+    let skipped = 0;
+    let failed = 0;
+    
+    for (const item of queue) {
+        const { dedupKey, event } = item;
+        if (await env.USER_RISK_KV.get(dedupKey)) {
+            skipped++;
+            continue;
+        }
         
-        await env.USER_RISK_KV.put(kvKey, JSON.stringify(expectedState));
-        console.log(`Stored expected state for ${riskLevel} risk list: ${users.length} users`);
+        let delivered = false;
+        for (const target of targets) {
+            try {
+                await deliverWebhook(env, target, event);
+                sent++;
+                delivered = true;
+            } catch (error) {
+                failed++;
+                console.error(`Failed to deliver ${event.type} for ${event.user} to webhook:`, error.message);
+            }
+        }
         
-        return { success: true, userCount: users.length };
-    } catch (error) {
-        console.error(`Failed to store expected state for ${riskLevel} risk list:`, error);
-        return { success: false, error: error.message };
+        // Only a delivered alert counts as sent; one that reached no target waits for the next run
+        if (delivered) {
+            await env.USER_RISK_KV.put(dedupKey, event.timestamp, { expirationTtl: dedupTtl });
+        } else {
+            undelivered.push(item);
+        }
+    }
+    
+    if (undelivered.length > 0) {
+        await env.USER_RISK_KV.put(WEBHOOK_PENDING_KV_KEY, JSON.stringify(undelivered.slice(-WEBHOOK_PENDING_MAX_EVENTS)));
+    } else if (pendingStr) {
+        await env.USER_RISK_KV.delete(WEBHOOK_PENDING_KV_KEY);
     }
+    
+    console.log(`Webhook notifications: ${sent} sent, ${skipped} duplicates skipped, ${failed} failed, ${undelivered.length} pending`);
+    return { success: failed === 0, sent, skipped, failed, pending: undelivered.length };
 }
 
-async function syncGatewayListFromKV(accountId, apiToken, listId, env, listName) {
+// audit carries the actor, reason and run ID recorded in the audit trail for the PATCH
+async function syncGatewayListFromKV(api, listId, env, listName, knownCurrentEmails = null, audit = {}) {
     try {
         // Step 1: Get expected state from KV (source of truth)
         const kvKey = `gateway_list_${listId}`;
@@ -779,19 +3302,20 @@ async function syncGatewayListFromKV(accountId, apiToken, listId, env, listName)
         
         console.log(`Expected state for ${listName}: ${expectedState.emails.length} users`);
         
-        // Step 2: Get current Gateway list state (without cache)
-        const currentResult = await fetchGatewayListItems(accountId, apiToken, listId);
-        if (currentResult.error) {
-            console.error(`Failed to fetch current Gateway list ${listId}:`, currentResult.error);
-            return { success: false, error: currentResult.error };
+        // Step 2: Get current Gateway list state (without cache), unless the caller has just fetched it
+        let currentEmails = knownCurrentEmails;
+        if (!currentEmails) {
+            const currentResult = await fetchGatewayListItems(api, listId);
+            if (currentResult.error) {
+                console.error(`Failed to fetch current Gateway list ${listId}:`, currentResult.error);
+                return { success: false, error: currentResult.error };
+            }
+            currentEmails = new Set(currentResult.items.map(item => item.value));
         }
-        
-        const currentEmails = new Set(currentResult.items.map(item => item.value));
-        console.log(`Current Gateway list ${listName}: ${currentResult.items.length} users`);
+        console.log(`Current Gateway list ${listName}: ${currentEmails.size} users`);
         
         // Step 3: Compare and determine changes needed
-        const emailsToAdd = [...expectedEmails].filter(email => !currentEmails.has(email));
-        const emailsToRemove = [...currentEmails].filter(email => !expectedEmails.has(email));
+        const { emailsToAdd, emailsToRemove } = computeListChanges(expectedEmails, currentEmails);
         
         console.log(`Changes needed for ${listName}: +${emailsToAdd.length} users, -${emailsToRemove.length} users`);
         
@@ -814,25 +3338,37 @@ async function syncGatewayListFromKV(accountId, apiToken, listId, env, listName)
             
             console.log(`Using PATCH method for ${listName}: appending ${emailsToAdd.length} users, removing ${emailsToRemove.length} users`);
             
-            const updateResult = await makeApiRequest(`https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists/${listId}`, {
+            const updateResult = await api.request(`/gateway/lists/${listId}`, {
                 method: 'PATCH',
-                headers: {
-                    'Authorization': `Bearer ${apiToken}`,
-                    'Content-Type': 'application/json'
-                },
                 body: JSON.stringify(patchBody)
             });
             
             const updateData = await updateResult.json();
+            await recordListAudit(env, audit, { method: 'PATCH', listId, listName, added: emailsToAdd, removed: emailsToRemove }, updateResult, updateData);
             
             if (updateData.success) {
                 console.log(`Successfully patched ${listName}: ${emailsToAdd.length} added, ${emailsToRemove.length} removed`);
+                
+                // Step 5: Read the list back and check it holds exactly the expected members. A list that could not
+                // be read back is left unverified; a list that differs fails the sync so the next run reconciles it.
+                const verification = await verifyGatewayListMembers(api, listId, expectedEmails);
+                const mismatched = !verification.verified && !verification.verificationError;
+                if (verification.verificationError) {
+                    console.warn(`Could not read back ${listName} to verify the PATCH:`, verification.verificationError);
+                } else if (mismatched) {
+                    console.error(`${listName} does not match its expected state after the PATCH: missing [${verification.missing.join(', ')}], unexpected [${verification.unexpected.join(', ')}]`);
+                }
+                
                 return {
-                    success: true,
+                    success: !mismatched,
                     added: emailsToAdd.length,
                     removed: emailsToRemove.length,
+                    addedEmails: emailsToAdd,
+                    removedEmails: emailsToRemove,
                     totalUsers: expectedState.emails.length,
-                    method: 'PATCH'
+                    method: 'PATCH',
+                    ...verification,
+                    ...(mismatched ? { error: 'List does not match its expected state after the PATCH' } : {})
                 };
             } else {
                 console.error(`Failed to patch ${listName}:`, updateData.errors);
@@ -840,11 +3376,13 @@ async function syncGatewayListFromKV(accountId, apiToken, listId, env, listName)
             }
         } else {
             console.log(`No changes needed for ${listName} - already in sync`);
+            // The current members were read from Gateway during this run, so they verify the list as it is
             return {
                 success: true,
                 added: 0,
                 removed: 0,
                 totalUsers: expectedState.emails.length,
+                verified: true,
                 message: 'Already in sync'
             };
         }
@@ -855,8 +3393,22 @@ async function syncGatewayListFromKV(accountId, apiToken, listId, env, listName)
     }
 }
 
-async function updateGatewayList(accountId, apiToken, listId, users, env) {
-    const ztListEndpoint = `https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists/${listId}`;
+// Read a list back after a change and compare it with the emails it should hold
+async function verifyGatewayListMembers(api, listId, expectedEmails) {
+    const result = await fetchGatewayListItems(api, listId);
+    if (result.error) {
+        return { verified: false, verificationError: result.error };
+    }
+    
+    const expected = new Set([...expectedEmails].map(normalizeEmail));
+    const actual = new Set(result.items.map(item => normalizeEmail(item.value)));
+    const missing = [...expected].filter(email => !actual.has(email));
+    const unexpected = [...actual].filter(email => !expected.has(email));
+    return { verified: missing.length === 0 && unexpected.length === 0, missing, unexpected };
+}
+
+async function updateGatewayList(api, listId, users, env, audit = {}) {
+    const listPath = `/gateway/lists/${listId}`;
     
     try {
         // Get expected state from KV
@@ -865,11 +3417,9 @@ async function updateGatewayList(accountId, apiToken, listId, users, env) {
         const expectedState = expectedStateStr ? JSON.parse(expectedStateStr) : { emails: [], lastUpdated: null };
         
         // Get current list info to preserve name and description
-        const currentListResponse = await makeApiRequest(ztListEndpoint, {
+        const currentListResponse = await api.request(listPath, {
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${apiToken}`,
-                'Content-Type': 'application/json',
                 'Cache-Control': 'no-cache'
             }
         });
@@ -883,7 +3433,7 @@ async function updateGatewayList(accountId, apiToken, listId, users, env) {
         const listInfo = currentListData.result;
         
         // Get current list items from API
-        const currentItemsResult = await fetchGatewayListItems(accountId, apiToken, listId);
+        const currentItemsResult = await fetchGatewayListItems(api, listId);
         if (!currentItemsResult.success) {
             console.error(`Failed to fetch current items for list ${listId}:`, currentItemsResult.errors);
             return { success: false, errors: currentItemsResult.errors };
@@ -921,11 +3471,9 @@ async function updateGatewayList(accountId, apiToken, listId, users, env) {
         // Step 1: First clear the list completely by setting items to empty array
         console.log(`Step 1: Clearing list ${listId} completely`);
         
-        const clearResult = await makeApiRequest(ztListEndpoint, {
+        const clearResult = await api.request(listPath, {
             method: 'PUT',
             headers: {
-                'Authorization': `Bearer ${apiToken}`,
-                'Content-Type': 'application/json',
                 'Cache-Control': 'no-cache',
                 'Pragma': 'no-cache'
             },
@@ -938,6 +3486,7 @@ async function updateGatewayList(accountId, apiToken, listId, users, env) {
 
         const clearData = await clearResult.json();
         console.log(`CLEAR request to ${listId}: Status ${clearResult.status}, Success: ${clearData.success}`);
+        await recordListAudit(env, audit, { method: 'PUT', listId, listName: listInfo.name, removed: [...currentEmails] }, clearResult, clearData);
         
         if (!clearData.success) {
             console.error(`Failed to clear Gateway list ${listId}:`, clearData.errors);
@@ -954,11 +3503,9 @@ async function updateGatewayList(accountId, apiToken, listId, users, env) {
                 description: `Risk-based user - updated ${new Date().toISOString().split('T')[0]}`
             }));
             
-            const addResult = await makeApiRequest(ztListEndpoint, {
+            const addResult = await api.request(listPath, {
                 method: 'PUT',
                 headers: {
-                    'Authorization': `Bearer ${apiToken}`,
-                    'Content-Type': 'application/json',
                     'Cache-Control': 'no-cache',
                     'Pragma': 'no-cache'
                 },
@@ -971,6 +3518,7 @@ async function updateGatewayList(accountId, apiToken, listId, users, env) {
 
             const addData = await addResult.json();
             console.log(`ADD request to ${listId}: Status ${addResult.status}, Success: ${addData.success}`);
+            await recordListAudit(env, audit, { method: 'PUT', listId, listName: listInfo.name, added: [...targetEmails] }, addResult, addData);
             
             if (!addData.success) {
                 console.error(`Failed to add items to Gateway list ${listId}:`, addData.errors);
@@ -997,7 +3545,7 @@ async function updateGatewayList(accountId, apiToken, listId, users, env) {
         await new Promise(resolve => setTimeout(resolve, 3000));
         console.log(`Step 4: Verifying final state of list ${listId}`);
         
-        const verifyResult = await fetchGatewayListItems(accountId, apiToken, listId);
+        const verifyResult = await fetchGatewayListItems(api, listId);
         let reconciliationNeeded = false;
         
         if (verifyResult.success) {
@@ -1044,6 +3592,14 @@ async function updateGatewayList(accountId, apiToken, listId, users, env) {
     }
 }
 
+// Helper function to diff the expected and current emails of a Gateway list
+function computeListChanges(expectedEmails, currentEmails) {
+    return {
+        emailsToAdd: [...expectedEmails].filter(email => !currentEmails.has(email)),
+        emailsToRemove: [...currentEmails].filter(email => !expectedEmails.has(email))
+    };
+}
+
 // Helper function to compare two sets for equality
 function setsEqual(setA, setB) {
     if (setA.size !== setB.size) return false;
@@ -1053,16 +3609,48 @@ function setsEqual(setA, setB) {
     return true;
 }
 
+// Cloudflare API client for one account. Every v4 API call goes through it, so CLOUDFLARE_API_BASE_URL
+// can point the worker at a local stand-in such as tests/mock-cloudflare-api.mjs.
+const DEFAULT_API_BASE_URL = 'https://api.cloudflare.com/client/v4';
+
+function createApiClient(env, accountId, apiToken) {
+    const baseUrl = (env.CLOUDFLARE_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+    
+    return {
+        accountId,
+        baseUrl,
+        // Every attempt made through this client, including retries; run records report the per-run delta
+        stats: { requests: 0, retries: 0, networkErrors: 0, byStatus: {} },
+        // path is relative to the account, e.g. '/gateway/lists'
+        request(path, options = {}, maxRetries = 3) {
+            return makeApiRequest(`${baseUrl}/accounts/${accountId}${path}`, {
+                ...options,
+                headers: {
+                    'Authorization': `Bearer ${apiToken}`,
+                    'Content-Type': 'application/json',
+                    ...options.headers
+                }
+            }, maxRetries, this.stats);
+        }
+    };
+}
+
 // Enhanced API request function with retry mechanism
-async function makeApiRequest(url, options, maxRetries = 3) {
+// stats, when given, counts every attempt by HTTP status along with retries and network errors
+async function makeApiRequest(url, options, maxRetries = 3, stats = null) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
             const response = await fetch(url, options);
+            if (stats) {
+                stats.requests++;
+                stats.byStatus[response.status] = (stats.byStatus[response.status] || 0) + 1;
+            }
             
-            // Handle rate limiting (429) with exponential backoff
-            if (response.status === 429) {
+            // Handle rate limiting (429) with exponential backoff, handing the last 429 back to the caller
+            if (response.status === 429 && attempt < maxRetries) {
                 const retryAfter = response.headers.get('Retry-After') || Math.pow(2, attempt);
                 console.log(`Rate limited, waiting ${retryAfter}s before retry ${attempt}/${maxRetries}`);
+                if (stats) stats.retries++;
                 await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
                 continue;
             }
@@ -1071,15 +3659,21 @@ async function makeApiRequest(url, options, maxRetries = 3) {
             if (response.status >= 500 && attempt < maxRetries) {
                 const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
                 console.log(`Server error ${response.status}, retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`);
+                if (stats) stats.retries++;
                 await new Promise(resolve => setTimeout(resolve, delay));
                 continue;
             }
             
             return response;
         } catch (error) {
+            if (stats) {
+                stats.requests++;
+                stats.networkErrors++;
+            }
             if (attempt === maxRetries) {
                 throw error;
             }
+            if (stats) stats.retries++;
             const delay = Math.pow(2, attempt) * 1000;
             console.log(`Network error, retrying in ${delay}ms (attempt ${attempt}/${maxRetries}):`, error.message);
             await new Promise(resolve => setTimeout(resolve, delay));
@@ -1088,7 +3682,7 @@ async function makeApiRequest(url, options, maxRetries = 3) {
 }
 
 // Pagination function to fetch all user risk scores
-async function fetchAllUserRiskScores(accountId, apiToken) {
+async function fetchAllUserRiskScores(api) {
     const allUsers = [];
     let page = 1;
     let hasMore = true;
@@ -1097,13 +3691,11 @@ async function fetchAllUserRiskScores(accountId, apiToken) {
     
     try {
         while (hasMore && totalRequests < 100) { // Safety limit to prevent infinite loops
-            const url = `https://api.cloudflare.com/client/v4/accounts/${accountId}/zt_risk_scoring/summary?page=${page}&per_page=${pageSize}`;
+            const path = `/zt_risk_scoring/summary?page=${page}&per_page=${pageSize}`;
             
-            const response = await makeApiRequest(url, {
+            const response = await api.request(path, {
                 method: 'GET',
                 headers: {
-                    'Authorization': `Bearer ${apiToken}`,
-                    'Content-Type': 'application/json',
                     'Cache-Control': 'no-cache'
                 }
             });
@@ -1144,7 +3736,7 @@ async function fetchAllUserRiskScores(accountId, apiToken) {
 }
 
 // Function to fetch Gateway list items with pagination
-async function fetchGatewayListItems(accountId, apiToken, listId, riskLevel) {
+async function fetchGatewayListItems(api, listId, riskLevel) {
     const allItems = [];
     let page = 1;
     let hasMore = true;
@@ -1153,13 +3745,11 @@ async function fetchGatewayListItems(accountId, apiToken, listId, riskLevel) {
     
     try {
         while (hasMore && totalRequests < 50) { // Safety limit
-            const url = `https://api.cloudflare.com/client/v4/accounts/${accountId}/gateway/lists/${listId}/items?page=${page}&per_page=${pageSize}`;
+            const path = `/gateway/lists/${listId}/items?page=${page}&per_page=${pageSize}`;
             
-            const response = await makeApiRequest(url, {
+            const response = await api.request(path, {
                 method: 'GET',
                 headers: {
-                    'Authorization': `Bearer ${apiToken}`,
-                    'Content-Type': 'application/json',
                     'Cache-Control': 'no-cache'
                 }
             });
@@ -1167,9 +3757,15 @@ async function fetchGatewayListItems(accountId, apiToken, listId, riskLevel) {
             const data = await response.json();
             totalRequests++;
             
+            // A partial read must not pass for the list's contents, or every diff against it is wrong
             if (!data.success) {
                 console.error(`Failed to fetch ${riskLevel} risk list items:`, data.errors);
-                break;
+                return {
+                    riskLevel,
+                    listId,
+                    items: [],
+                    error: describeRunError(data.errors) || `HTTP ${response.status}`
+                };
             }
             
             const items = data.result || [];
@@ -1206,10 +3802,10 @@ async function fetchGatewayListItems(accountId, apiToken, listId, riskLevel) {
     }
 }
 
-async function getUserRiskScoresAPI(accountId, apiToken) {
+async function getUserRiskScoresAPI(env, config) {
     try {
         // Fetch all users with pagination support
-        const allUsers = await fetchAllUserRiskScores(accountId, apiToken);
+        const allUsers = await fetchCategorizedUsers(env, config);
         
         if (!allUsers.success) {
             return new Response(JSON.stringify({ 
@@ -1221,24 +3817,23 @@ async function getUserRiskScoresAPI(accountId, apiToken) {
             });
         }
         
-        // Categorize users by risk level
-        const users = allUsers.users || [];
-        const categorizedUsers = {
-            high: users.filter(u => u.max_risk_level === 'high'),
-            medium: users.filter(u => u.max_risk_level === 'medium'),
-            low: users.filter(u => u.max_risk_level === 'low')
-        };
+        // Protected users are reported separately since they are never placed in a risk list
+        const categorizedUsers = allUsers.categorized;
         
         const summary = {
-            total: users.length,
+            total: categorizedUsers.high.length + categorizedUsers.medium.length + categorizedUsers.low.length + allUsers.protectedUsers.length,
             high: categorizedUsers.high.length,
             medium: categorizedUsers.medium.length,
-            low: categorizedUsers.low.length
+            low: categorizedUsers.low.length,
+            protected: allUsers.protectedUsers.length,
+            overridden: allUsers.summary.overridden,
+            held: allUsers.summary.held
         };
         
         return new Response(JSON.stringify({
             success: true,
             users: categorizedUsers,
+            protectedUsers: allUsers.protectedUsers,
             summary,
             pagination: allUsers.pagination
         }), {
@@ -1255,30 +3850,32 @@ async function getUserRiskScoresAPI(accountId, apiToken) {
     }
 }
 
+// Fetch the current items of every mapped Gateway list, keyed by list key
+async function fetchMappedGatewayLists(api, mappedLists) {
+    const fetchedLists = await Promise.all(
+        mappedLists.map(list => fetchGatewayListItems(api, list.id, list.key))
+    );
+    
+    const lists = {};
+    const summary = { total: 0 };
+    mappedLists.forEach((list, index) => {
+        lists[list.key] = { ...fetchedLists[index], listName: list.name, rule: list.rule };
+        summary[list.key] = fetchedLists[index].items?.length || 0;
+        summary.total += summary[list.key];
+    });
+    
+    return { lists, summary };
+}
+
 // New function to fetch Gateway lists with pagination
-async function getGatewayListsAPI(accountId, apiToken, highRiskListId, mediumRiskListId, lowRiskListId) {
+async function getGatewayListsAPI(api, mappedLists) {
     try {
-        const lists = await Promise.all([
-            fetchGatewayListItems(accountId, apiToken, highRiskListId, 'high'),
-            fetchGatewayListItems(accountId, apiToken, mediumRiskListId, 'medium'),
-            fetchGatewayListItems(accountId, apiToken, lowRiskListId, 'low')
-        ]);
-        
-        const [highRiskList, mediumRiskList, lowRiskList] = lists;
+        const { lists, summary } = await fetchMappedGatewayLists(api, mappedLists);
         
         return new Response(JSON.stringify({
             success: true,
-            lists: {
-                high: highRiskList,
-                medium: mediumRiskList,
-                low: lowRiskList
-            },
-            summary: {
-                high: highRiskList.items?.length || 0,
-                medium: mediumRiskList.items?.length || 0,
-                low: lowRiskList.items?.length || 0,
-                total: (highRiskList.items?.length || 0) + (mediumRiskList.items?.length || 0) + (lowRiskList.items?.length || 0)
-            }
+            lists,
+            summary
         }), {
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
         });
@@ -1293,49 +3890,186 @@ async function getGatewayListsAPI(accountId, apiToken, highRiskListId, mediumRis
     }
 }
 
-async function updateRiskListsAPI(accountId, apiToken, highRiskListId, mediumRiskListId, lowRiskListId, env) {
+// Membership exports. Joins the categorized risk scores behind /api/user-risk-scores with the current
+// contents of the lists behind /api/gateway-lists, flagging users whose Gateway membership differs from
+// what their effective risk level calls for (missing from a list, or in a list they should not be in).
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const USER_EXPORT_COLUMNS = ['email', 'name', 'user_id', 'risk_level', 'effective_level', 'event_count', 'last_event', 'protected_by', 'override_level', 'expected_lists', 'gateway_lists', 'mismatch', 'missing_from', 'unexpected_in'];
+const LIST_EXPORT_COLUMNS = ['list_key', 'list_name', 'list_id', 'email', 'risk_level', 'effective_level', 'expected', 'in_gateway', 'mismatch'];
+
+async function buildMembershipExport(env, config) {
+    const [usersResult, gatewayLists] = await Promise.all([
+        fetchCategorizedUsers(env, config),
+        fetchMappedGatewayLists(config.api, config.lists)
+    ]);
+    if (!usersResult.success) {
+        return { success: false, error: 'Failed to fetch user risk scores', details: usersResult.errors };
+    }
+    // Without every list's items a missing member cannot be told apart from a failed fetch
+    const failedList = config.lists.find(list => gatewayLists.lists[list.key].error);
+    if (failedList) {
+        return { success: false, error: `Failed to fetch Gateway list ${failedList.name}`, details: gatewayLists.lists[failedList.key].error };
+    }
+    
+    const users = new Map();
+    const userRow = (email, user = {}) => {
+        const normalizedEmail = normalizeEmail(email);
+        if (!users.has(normalizedEmail)) {
+            users.set(normalizedEmail, {
+                email: normalizedEmail,
+                name: user.name || null,
+                user_id: user.user_id || null,
+                risk_level: user.max_risk_level || null,
+                effective_level: user.effective_risk_level || null,
+                event_count: user.event_count ?? null,
+                last_event: user.last_event || null,
+                protected_by: user.protected_by || null,
+                override_level: user.override?.level || null,
+                expected_lists: [],
+                gateway_lists: []
+            });
+        }
+        return users.get(normalizedEmail);
+    };
+    
+    for (const user of Object.values(usersResult.categorized).flat()) userRow(user.email, user);
+    for (const user of usersResult.protectedUsers) userRow(user.email, user);
+    
+    // Users found only in a Gateway list have no risk score and show up with empty level columns
+    const expectedMembers = getExpectedMembers(config, usersResult.categorized, usersResult.memberPins);
+    const listRows = [];
+    for (const list of config.lists) {
+        const expected = new Set(expectedMembers[list.key].map(user => normalizeEmail(user.email)));
+        const inGateway = new Set(gatewayLists.lists[list.key].items.map(item => normalizeEmail(item.value)));
+        for (const email of expected) userRow(email).expected_lists.push(list.key);
+        for (const email of inGateway) userRow(email).gateway_lists.push(list.key);
+        
+        for (const email of [...new Set([...expected, ...inGateway])].sort()) {
+            const user = users.get(email);
+            listRows.push({
+                list_key: list.key,
+                list_name: list.name,
+                list_id: list.id,
+                email,
+                risk_level: user.risk_level,
+                effective_level: user.effective_level,
+                expected: expected.has(email),
+                in_gateway: inGateway.has(email),
+                mismatch: expected.has(email) !== inGateway.has(email)
+            });
+        }
+    }
+    
+    const userRows = [...users.values()].sort((a, b) => a.email.localeCompare(b.email)).map(row => {
+        const missingFrom = row.expected_lists.filter(key => !row.gateway_lists.includes(key));
+        const unexpectedIn = row.gateway_lists.filter(key => !row.expected_lists.includes(key));
+        return { ...row, mismatch: missingFrom.length > 0 || unexpectedIn.length > 0, missing_from: missingFrom, unexpected_in: unexpectedIn };
+    });
+    
+    return { success: true, users: userRows, lists: listRows };
+}
+
+// Stream rows as CSV (array cells joined with ";") or NDJSON, a few hundred rows per chunk
+function streamExportResponse(rows, columns, format, filename) {
+    const encoder = new TextEncoder();
+    const toLine = format === 'csv'
+        ? row => columns.map(column => csvEscape(Array.isArray(row[column]) ? row[column].join(';') : row[column])).join(',') + '\r\n'
+        : row => JSON.stringify(row) + '\n';
+    let index = 0;
+    let headerSent = format !== 'csv';
+    
+    const body = new ReadableStream({
+        pull(controller) {
+            if (!headerSent) {
+                headerSent = true;
+                controller.enqueue(encoder.encode(columns.join(',') + '\r\n'));
+            } else if (index < rows.length) {
+                controller.enqueue(encoder.encode(rows.slice(index, index + 500).map(toLine).join('')));
+                index += 500;
+            } else {
+                controller.close();
+            }
+        }
+    });
+    
+    return new Response(body, {
+        headers: {
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+            'Content-Disposition': `attachment; filename="${filename}.${format}"`
+        }
+    });
+}
+
+// GET /api/export/users and /api/export/lists; ?format=csv (default) or ndjson
+async function exportMembershipAPI(env, config, url, dataset) {
+    const format = (url.searchParams.get('format') || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return jsonResponse({ error: 'Invalid format', message: 'format must be csv or ndjson' }, 400);
+    }
+    
     try {
-        // First check if there are any users to process
-        const allUsers = await fetchAllUserRiskScores(accountId, apiToken);
+        const membership = await buildMembershipExport(env, config);
+        if (!membership.success) {
+            return jsonResponse({ error: membership.error, details: membership.details }, 502);
+        }
         
-        if (!allUsers.success) {
+        const date = new Date().toISOString().split('T')[0];
+        const account = env.TENANT && !env.TENANT.isDefault ? `${env.TENANT.id}-` : '';
+        return dataset === 'users'
+            ? streamExportResponse(membership.users, USER_EXPORT_COLUMNS, format, `${account}risk-scores-${date}`)
+            : streamExportResponse(membership.lists, LIST_EXPORT_COLUMNS, format, `${account}gateway-list-membership-${date}`);
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to build export', details: error.message }, 500);
+    }
+}
+
+async function updateRiskListsAPI(env, config, identity) {
+    try {
+        console.log(`Risk list update requested by ${describeIdentity(identity)}`);
+
+        // Always proceed with the update, even if 0 users, to clean up Gateway lists
+        const syncResult = await runRiskSync(env, config, { trigger: 'manual-update', actor: describeIdentity(identity), fullReconciliation: true });
+        
+        if (syncResult.lock) {
+            return jsonResponse({
+                success: false,
+                error: 'Sync already running',
+                message: `Run ${syncResult.lock.runId} started by ${syncResult.lock.actor} is still in progress, try again shortly`,
+                lock: syncResult.lock
+            }, 409);
+        }
+        
+        if (syncResult.circuitBreaker) {
+            return jsonResponse({
+                success: false,
+                error: 'Circuit breaker tripped',
+                message: 'The sync would change more users than the circuit breaker allows. Review the changes and confirm with POST /api/circuit-breaker/confirm',
+                requestedBy: describeIdentity(identity),
+                summary: syncResult.summary,
+                circuitBreaker: syncResult.circuitBreaker
+            }, 409);
+        }
+        
+        if (!syncResult.summary) {
             return new Response(JSON.stringify({ 
                 error: 'Failed to fetch user risk scores before updating lists', 
-                details: allUsers.errors 
+                details: syncResult.details 
             }), { 
                 status: 500,
                 headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
             });
         }
-
-        const users = allUsers.users || [];
-        
-        // Always proceed with the update, even if 0 users, to clean up Gateway lists
-        const result = await handleRequest('notfetch', { 
-            CLOUDFLARE_ACCOUNT_ID: accountId, 
-            CLOUDFLARE_API_TOKEN: apiToken,
-            HIGH_RISK_LIST_ID: highRiskListId,
-            MEDIUM_RISK_LIST_ID: mediumRiskListId,
-            LOW_RISK_LIST_ID: lowRiskListId
-        });
-        
-        // Categorize users for summary
-        const riskCategories = {
-            high: users.filter(user => user.max_risk_level === 'high'),
-            medium: users.filter(user => user.max_risk_level === 'medium'),
-            low: users.filter(user => user.max_risk_level === 'low')
-        };
         
         return new Response(JSON.stringify({
-            success: true,
-            message: "Risk lists updated successfully!",
-            summary: {
-                totalUsers: users.length,
-                high: riskCategories.high.length,
-                medium: riskCategories.medium.length,
-                low: riskCategories.low.length
-            }
+            success: syncResult.success,
+            message: syncResult.success ? "Risk lists updated successfully!" : "Risk list update completed with errors",
+            requestedBy: describeIdentity(identity),
+            summary: syncResult.summary,
+            results: syncResult.results,
+            dryRun: syncResult.dryRun || false,
+            plan: syncResult.plan
         }), {
+            status: syncResult.success ? 200 : 500,
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
         });
     } catch (error) {
@@ -1350,7 +4084,7 @@ async function updateRiskListsAPI(accountId, apiToken, highRiskListId, mediumRis
 }
 
 // Health check API endpoint
-async function getHealthCheckAPI(accountId, apiToken) {
+async function getHealthCheckAPI(api, env) {
     const startTime = Date.now();
     const health = {
         status: 'healthy',
@@ -1360,15 +4094,9 @@ async function getHealthCheckAPI(accountId, apiToken) {
     
     try {
         // Test Cloudflare API connectivity
-        const apiResponse = await makeApiRequest(
-            `https://api.cloudflare.com/client/v4/accounts/${accountId}`,
-            {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${apiToken}`,
-                    'Content-Type': 'application/json'
-                }
-            },
+        const apiResponse = await api.request(
+            '',
+            { method: 'GET' },
             1 // Single retry for health check
         );
         
@@ -1379,15 +4107,9 @@ async function getHealthCheckAPI(accountId, apiToken) {
         
         // Test Risk Scoring API
         const riskStartTime = Date.now();
-        const riskResponse = await makeApiRequest(
-            `https://api.cloudflare.com/client/v4/accounts/${accountId}/zt_risk_scoring/summary?per_page=1`,
-            {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${apiToken}`,
-                    'Content-Type': 'application/json'
-                }
-            },
+        const riskResponse = await api.request(
+            '/zt_risk_scoring/summary?per_page=1',
+            { method: 'GET' },
             1
         );
         
@@ -1396,9 +4118,19 @@ async function getHealthCheckAPI(accountId, apiToken) {
             response_time: Date.now() - riskStartTime
         };
         
-        // Overall health status
+        // Overall health status; a tripped circuit breaker or a stale run lock means syncs are on hold
+        health.circuit_breaker = await getCircuitBreakerState(env);
+        health.run_lock = await getRunLockState(env);
+        // Lists found broken by the last sync, and the replacements policies may still need repointing to
+        const provisioning = await getListProvisioningState(env);
+        health.gateway_lists = {
+            checked_at: provisioning.checkedAt,
+            auto_provision: getBooleanSetting(env, 'AUTO_PROVISION_LISTS'),
+            problems: provisioning.problems,
+            recreated: Object.entries(provisioning.lists).map(([key, list]) => ({ key, ...list }))
+        };
         const allHealthy = Object.values(health.checks).every(check => check.status === 'healthy');
-        health.status = allHealthy ? 'healthy' : 'degraded';
+        health.status = allHealthy && !health.circuit_breaker.tripped && !health.run_lock.stale && provisioning.problems.length === 0 ? 'healthy' : 'degraded';
         
     } catch (error) {
         health.status = 'unhealthy';
@@ -1418,7 +4150,6 @@ async function getMetricsAPI(env) {
     try {
         const metrics = {
             timestamp: new Date().toISOString(),
-            uptime: Date.now(), // Simple uptime since this execution
             version: '2.0.0',
             features: {
                 retry_mechanism: true,
@@ -1444,56 +4175,475 @@ async function getMetricsAPI(env) {
             headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
         });
     } catch (error) {
-        return new Response(JSON.stringify({ 
-            error: 'Failed to retrieve metrics', 
-            details: error.message 
-        }), { 
-            status: 500,
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-        });
+        return new Response(JSON.stringify({ 
+            error: 'Failed to retrieve metrics', 
+            details: error.message 
+        }), { 
+            status: 500,
+            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+}
+
+// Prometheus text exposition of the aggregate run statistics of every account. Everything comes from KV,
+// so a scrape never calls the Cloudflare API.
+function formatPrometheusMetrics(families) {
+    const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    const lines = [];
+    for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+        for (const sample of family.samples) {
+            const labels = Object.entries(sample.labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',');
+            lines.push(`${sample.name || family.name}${labels ? `{${labels}}` : ''} ${sample.value}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+async function getPrometheusMetrics(env) {
+    const families = {
+        users: { name: 'ueba_users', type: 'gauge', help: 'Users per effective risk level in the last sync run.', samples: [] },
+        protectedUsers: { name: 'ueba_protected_users', type: 'gauge', help: 'Users shielded by the protected-user list in the last sync run.', samples: [] },
+        listMembers: { name: 'ueba_list_members', type: 'gauge', help: 'Members of each mapped Gateway list after the last sync.', samples: [] },
+        runs: { name: 'ueba_sync_runs_total', type: 'counter', help: 'Sync runs by outcome.', samples: [] },
+        appended: { name: 'ueba_list_items_appended_total', type: 'counter', help: 'Users appended to Gateway lists by sync runs.', samples: [] },
+        removed: { name: 'ueba_list_items_removed_total', type: 'counter', help: 'Users removed from Gateway lists by sync runs.', samples: [] },
+        duration: { name: 'ueba_sync_duration_seconds', type: 'summary', help: 'Duration of sync runs.', samples: [] },
+        apiRequests: { name: 'ueba_cloudflare_api_requests_total', type: 'counter', help: 'Cloudflare API requests made by sync runs, by HTTP status (0 for network errors).', samples: [] },
+        apiRetries: { name: 'ueba_cloudflare_api_retries_total', type: 'counter', help: 'Cloudflare API requests retried after a 429, 5xx or network error.', samples: [] },
+        lastSuccess: { name: 'ueba_last_successful_sync_timestamp_seconds', type: 'gauge', help: 'Unix time of the last successful sync run.', samples: [] },
+        sinceSuccess: { name: 'ueba_seconds_since_last_successful_sync', type: 'gauge', help: 'Seconds since the last successful sync run.', samples: [] },
+        breaker: { name: 'ueba_circuit_breaker_tripped', type: 'gauge', help: 'Whether the mass-change circuit breaker is blocking syncs.', samples: [] }
+    };
+
+    let tenants;
+    try {
+        tenants = loadTenants(env);
+    } catch (error) {
+        return jsonResponse({ error: 'Configuration error', message: error.message }, 500);
+    }
+
+    for (const tenant of tenants) {
+        const tenantEnv = getTenantEnv(env, tenant);
+        const account = tenant.id;
+        const [statsStr, breakerState] = await Promise.all([
+            tenantEnv.USER_RISK_KV.get('execution_stats'),
+            getCircuitBreakerState(tenantEnv)
+        ]);
+        const stats = statsStr ? JSON.parse(statsStr) : {};
+
+        if (stats.last_summary) {
+            for (const level of ['high', 'medium', 'low']) {
+                families.users.samples.push({ labels: { account, level }, value: stats.last_summary[level] || 0 });
+            }
+            families.protectedUsers.samples.push({ labels: { account }, value: stats.last_summary.protected || 0 });
+        }
+        for (const [key, list] of Object.entries(stats.list_members || {})) {
+            families.listMembers.samples.push({ labels: { account, list: key, list_id: list.listId }, value: list.members });
+        }
+        for (const outcome of RUN_OUTCOMES) {
+            families.runs.samples.push({ labels: { account, outcome }, value: stats.outcomes?.[outcome] || 0 });
+        }
+        families.appended.samples.push({ labels: { account }, value: stats.items_added || 0 });
+        families.removed.samples.push({ labels: { account }, value: stats.items_removed || 0 });
+        families.duration.samples.push(
+            { name: 'ueba_sync_duration_seconds_sum', labels: { account }, value: (stats.total_duration_ms || 0) / 1000 },
+            { name: 'ueba_sync_duration_seconds_count', labels: { account }, value: stats.total_executions || 0 }
+        );
+        for (const [status, count] of Object.entries(stats.api_requests_by_status || {})) {
+            families.apiRequests.samples.push({ labels: { account, status }, value: count });
+        }
+        const networkErrors = stats.api_network_errors || 0;
+        if (networkErrors > 0) {
+            families.apiRequests.samples.push({ labels: { account, status: '0' }, value: networkErrors });
+        }
+        families.apiRetries.samples.push({ labels: { account }, value: stats.api_retries || 0 });
+        if (stats.last_success) {
+            const lastSuccess = Date.parse(stats.last_success);
+            families.lastSuccess.samples.push({ labels: { account }, value: lastSuccess / 1000 });
+            families.sinceSuccess.samples.push({ labels: { account }, value: Math.max(0, (Date.now() - lastSuccess) / 1000) });
+        }
+        families.breaker.samples.push({ labels: { account }, value: breakerState.tripped ? 1 : 0 });
+    }
+
+    return new Response(formatPrometheusMetrics(Object.values(families)), {
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+    });
+}
+
+// Compare secrets without leaking their length or common prefix through timing
+function constantTimeEqual(a, b) {
+    const encoder = new TextEncoder();
+    const left = encoder.encode(a);
+    const right = encoder.encode(b);
+    let difference = left.length ^ right.length;
+    for (let i = 0; i < left.length; i++) {
+        difference |= left[i] ^ (right[i % right.length] || 0);
+    }
+    return difference === 0;
+}
+
+// Append-only KV logs (run records, audit trail) use keys that sort newest first, so a prefix list
+// returns the latest entries without reading the whole log
+function getNewestFirstKey(prefix, date, id) {
+    return `${prefix}${String(Number.MAX_SAFE_INTEGER - date.getTime()).padStart(16, '0')}_${id}`;
+}
+
+// Page through a newest-first log. accept(metadata) returns false to skip a key or 'stop' to end the scan,
+// and matches(value), when given, filters on the stored value. Returns the values and the position to
+// resume from, or null once the log is exhausted.
+async function scanNewestFirst(kv, prefix, position, limit, accept, matches = null) {
+    const values = [];
+    while (true) {
+        const page = await kv.list({ prefix, cursor: position.cursor, limit: 1000 });
+        const candidates = [];
+        let stopped = false;
+        for (let index = position.index; index < page.keys.length; index++) {
+            const verdict = accept(page.keys[index].metadata || {});
+            if (verdict === 'stop') {
+                stopped = true;
+                break;
+            }
+            if (verdict) candidates.push({ name: page.keys[index].name, index });
+        }
+        
+        // Read values in small parallel batches so a long page does not fan out into a thousand reads
+        let offset = 0;
+        while (offset < candidates.length) {
+            const batch = candidates.slice(offset, offset + (matches ? 50 : Math.min(50, limit - values.length + 1)));
+            offset += batch.length;
+            const records = await Promise.all(batch.map(candidate => kv.get(candidate.name)));
+            for (let i = 0; i < batch.length; i++) {
+                if (values.length === limit) {
+                    return { values, next: { cursor: position.cursor, index: batch[i].index } };
+                }
+                if (!records[i]) continue; // expired between list and get
+                const value = JSON.parse(records[i]);
+                if (!matches || matches(value)) values.push(value);
+            }
+        }
+        
+        if (stopped || page.list_complete) {
+            return { values, next: null };
+        }
+        position = { cursor: page.cursor, index: 0 };
+    }
+}
+
+// Scan positions are handed to clients as opaque cursors
+function encodeScanCursor(position) {
+    return position ? btoa(JSON.stringify(position)) : null;
+}
+
+function decodeScanCursor(cursor) {
+    if (!cursor) return { cursor: undefined, index: 0 };
+    const position = JSON.parse(atob(cursor));
+    if (!Number.isInteger(position?.index)) {
+        throw new Error('Invalid cursor');
+    }
+    return position;
+}
+
+// Run records. Every sync run is stored with its outcome and trigger in the key metadata so /api/runs
+// can filter without reading every record.
+const RUN_RECORD_PREFIX = 'run_';
+const RUN_OUTCOMES = ['success', 'failed', 'blocked', 'skipped', 'dry_run'];
+
+function getRunOutcome(result) {
+    if (result.dryRun) return 'dry_run';
+    if (result.lock) return 'skipped';
+    if (result.success) return 'success';
+    return result.circuitBreaker ? 'blocked' : 'failed';
+}
+
+function describeRunError(error) {
+    if (!error) return null;
+    if (typeof error === 'string') return error;
+    if (Array.isArray(error)) return error.map(item => item?.message || JSON.stringify(item)).join('; ');
+    return error.message || JSON.stringify(error);
+}
+
+function buildRunRecord(env, config, runId, options, result, startedAt, apiStatsBefore) {
+    const finishedAt = new Date();
+    const emptyStats = { requests: 0, retries: 0, networkErrors: 0, byStatus: {} };
+    const apiStats = config?.api.stats || emptyStats;
+    apiStatsBefore = apiStatsBefore || emptyStats;
+    const byStatus = {};
+    for (const [status, count] of Object.entries(apiStats.byStatus)) {
+        const delta = count - (apiStatsBefore.byStatus[status] || 0);
+        if (delta > 0) byStatus[status] = delta;
+    }
+
+    const lists = {};
+    for (const list of config?.lists || []) {
+        const listResult = result?.results?.[list.key];
+        if (!listResult) continue;
+        lists[list.key] = {
+            listName: list.name,
+            listId: list.id,
+            success: listResult.success,
+            added: listResult.added || 0,
+            removed: listResult.removed || 0,
+            members: listResult.totalUsers ?? null,
+            error: describeRunError(listResult.error || listResult.errors)
+        };
+    }
+
+    const errors = [];
+    if (result?.error) {
+        errors.push([result.error, describeRunError(result.details)].filter(Boolean).join(': '));
+    }
+    for (const [key, list] of Object.entries(lists)) {
+        if (!list.success) errors.push(`${key}: ${list.error || 'sync failed'}`);
+    }
+
+    return {
+        runId,
+        account: env.TENANT?.id || 'default',
+        trigger: options.trigger || 'manual',
+        actor: options.actor || 'cron',
+        outcome: result ? getRunOutcome(result) : 'failed',
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        fastPath: Boolean(result?.fastPath),
+        summary: result?.summary || null,
+        lists,
+        added: Object.values(lists).reduce((total, list) => total + list.added, 0),
+        removed: Object.values(lists).reduce((total, list) => total + list.removed, 0),
+        errors,
+        apiRequests: {
+            total: apiStats.requests - apiStatsBefore.requests,
+            retries: apiStats.retries - apiStatsBefore.retries,
+            networkErrors: apiStats.networkErrors - apiStatsBefore.networkErrors,
+            byStatus
+        }
+    };
+}
+
+// Store a run record and fold it into the aggregate execution_stats
+async function logExecution(env, run) {
+    if (!env.USER_RISK_KV) return;
+    
+    try {
+        const retentionDays = getNumberSetting(env, 'RUN_RETENTION_DAYS', 7);
+        await env.USER_RISK_KV.put(getNewestFirstKey(RUN_RECORD_PREFIX, new Date(run.startedAt), run.runId), JSON.stringify(run), {
+            expirationTtl: Math.max(60, Math.round(retentionDays * 86400)),
+            metadata: { outcome: run.outcome, trigger: run.trigger, startedAt: run.startedAt }
+        });
+        
+        // Update execution stats
+        let stats = {};
+        try {
+            const existingStats = await env.USER_RISK_KV.get('execution_stats');
+            if (existingStats) {
+                stats = JSON.parse(existingStats);
+            }
+        } catch (e) {
+            // Use default stats if parsing fails
+        }
+        
+        const increment = (counts, key, amount = 1) => {
+            counts[key] = (counts[key] || 0) + amount;
+            return counts;
+        };
+        
+        stats.total_executions = (stats.total_executions || 0) + 1;
+        stats.successful_executions = (stats.successful_executions || 0) + (run.outcome === 'success' ? 1 : 0);
+        stats.failed_executions = (stats.failed_executions || 0) + (['failed', 'blocked'].includes(run.outcome) ? 1 : 0);
+        stats.outcomes = increment(stats.outcomes || {}, run.outcome);
+        stats.triggers = increment(stats.triggers || {}, run.trigger);
+        stats.total_duration_ms = (stats.total_duration_ms || 0) + run.durationMs;
+        stats.average_duration = stats.total_duration_ms / stats.total_executions;
+        stats.items_added = (stats.items_added || 0) + run.added;
+        stats.items_removed = (stats.items_removed || 0) + run.removed;
+        stats.api_requests = (stats.api_requests || 0) + run.apiRequests.total;
+        stats.api_retries = (stats.api_retries || 0) + run.apiRequests.retries;
+        stats.api_network_errors = (stats.api_network_errors || 0) + run.apiRequests.networkErrors;
+        stats.api_requests_by_status = stats.api_requests_by_status || {};
+        for (const [status, count] of Object.entries(run.apiRequests.byStatus)) {
+            increment(stats.api_requests_by_status, status, count);
+        }
+        // Latest known users per level and list sizes, exposed as gauges by /metrics
+        if (run.summary) {
+            stats.last_summary = run.summary;
+        }
+        stats.list_members = stats.list_members || {};
+        for (const [key, list] of Object.entries(run.lists)) {
+            if (list.success && list.members !== null) {
+                stats.list_members[key] = { listName: list.listName, listId: list.listId, members: list.members };
+            }
+        }
+        stats.last_execution = run.finishedAt;
+        stats.last_run_id = run.runId;
+        if (run.outcome === 'success') {
+            stats.last_success = run.finishedAt;
+        }
+        
+        await env.USER_RISK_KV.put('execution_stats', JSON.stringify(stats));
+    } catch (error) {
+        console.error('Failed to log execution:', error);
+    }
+}
+
+// Recent run records, newest first. ?outcome= and ?trigger= filter (comma-separated), ?limit= caps the page
+// and ?cursor= continues from the previous page.
+async function listRunsAPI(env, url) {
+    const outcomes = parseCommaList(url.searchParams.get('outcome'));
+    const triggers = parseCommaList(url.searchParams.get('trigger'));
+    const unknownOutcomes = outcomes.filter(outcome => !RUN_OUTCOMES.includes(outcome));
+    if (unknownOutcomes.length > 0) {
+        return jsonResponse({ error: 'Invalid outcome', message: `outcome must be one of ${RUN_OUTCOMES.join(', ')}` }, 400);
+    }
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 200);
+    
+    let position;
+    try {
+        position = decodeScanCursor(url.searchParams.get('cursor'));
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid cursor', message: 'cursor must come from a previous /api/runs response' }, 400);
+    }
+    
+    try {
+        const { values: runs, next } = await scanNewestFirst(env.USER_RISK_KV, RUN_RECORD_PREFIX, position, limit, metadata =>
+            (outcomes.length === 0 || outcomes.includes(metadata.outcome)) &&
+            (triggers.length === 0 || triggers.includes(metadata.trigger))
+        );
+        
+        const statsStr = await env.USER_RISK_KV.get('execution_stats');
+        
+        return jsonResponse({
+            success: true,
+            runs,
+            cursor: encodeScanCursor(next),
+            stats: statsStr ? JSON.parse(statsStr) : null
+        });
+    } catch (error) {
+        return jsonResponse({ error: 'Failed to list runs', details: error.message }, 500);
+    }
+}
+
+// Audit trail of Gateway list mutations. Each PATCH, PUT, POST or DELETE on a list writes one entry under a
+// unique newest-first key and entries are never updated. The list and timestamp are copied into the key
+// metadata so time range and list filters skip entries without reading them.
+const AUDIT_PREFIX = 'audit_';
+const AUDIT_CSV_COLUMNS = ['timestamp', 'actor', 'method', 'list_key', 'list_id', 'list_name', 'added', 'removed', 'reason', 'run_id', 'success', 'status', 'response_id', 'errors'];
+
+// context carries actor, reason, runId and listKey; data is the parsed API response body
+async function recordListAudit(env, context, mutation, response, data) {
+    if (!env.USER_RISK_KV) return null;
+    
+    const timestamp = new Date();
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: timestamp.toISOString(),
+        actor: context.actor || 'cron',
+        method: mutation.method,
+        listKey: context.listKey || null,
+        listId: mutation.listId,
+        listName: mutation.listName || null,
+        added: mutation.added || [],
+        removed: mutation.removed || [],
+        reason: context.reason || null,
+        runId: context.runId || null,
+        success: Boolean(data?.success),
+        status: response?.status ?? null,
+        // Cloudflare's request ID, quoted when asking Cloudflare support about a specific call
+        responseId: response?.headers.get('cf-ray') || null,
+        errors: data?.success ? [] : (data?.errors || [])
+    };
+    
+    try {
+        const retentionDays = getNumberSetting(env, 'AUDIT_RETENTION_DAYS', 365);
+        await env.USER_RISK_KV.put(getNewestFirstKey(AUDIT_PREFIX, timestamp, entry.id), JSON.stringify(entry), {
+            ...(retentionDays > 0 ? { expirationTtl: Math.max(60, Math.round(retentionDays * 86400)) } : {}),
+            metadata: { timestamp: entry.timestamp, listId: entry.listId, listKey: entry.listKey }
+        });
+    } catch (error) {
+        console.error(`Failed to write audit entry for ${mutation.method} on list ${mutation.listId}:`, error);
     }
+    return entry;
 }
 
-// Enhanced logging function
-async function logExecution(env, operation, result, duration) {
-    if (!env.USER_RISK_KV) return;
+// Cells that start like a formula are prefixed with ' so spreadsheets open them as text
+function csvEscape(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function auditEntryToCsvRow(entry) {
+    return [
+        entry.timestamp, entry.actor, entry.method, entry.listKey, entry.listId, entry.listName,
+        entry.added.join(';'), entry.removed.join(';'), entry.reason, entry.runId,
+        entry.success, entry.status, entry.responseId, describeRunError(entry.errors)
+    ].map(csvEscape).join(',');
+}
+
+// GET /api/audit. ?from= and ?to= bound the time range (ISO 8601), ?user= matches an added or removed
+// email, ?list= a list key or ID. ?format=csv or ndjson returns an export instead of JSON; ?limit= and
+// ?cursor= page through either (the next cursor of an export is in the X-Audit-Cursor header).
+async function getAuditAPI(env, url) {
+    const params = url.searchParams;
+    const format = (params.get('format') || 'json').toLowerCase();
+    if (!['json', 'csv', 'ndjson'].includes(format)) {
+        return jsonResponse({ error: 'Invalid format', message: 'format must be json, csv or ndjson' }, 400);
+    }
+    
+    const bounds = {};
+    for (const name of ['from', 'to']) {
+        if (!params.get(name)) continue;
+        const time = Date.parse(params.get(name));
+        if (Number.isNaN(time)) {
+            return jsonResponse({ error: `Invalid ${name}`, message: `${name} must be an ISO 8601 timestamp` }, 400);
+        }
+        bounds[name] = new Date(time).toISOString();
+    }
+    const user = params.get('user') ? normalizeEmail(params.get('user')) : null;
+    const list = params.get('list') || null;
+    const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || (format === 'json' ? 100 : 1000), 1), 1000);
     
+    let position;
     try {
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            operation,
-            success: result.success || false,
-            duration,
-            details: result
-        };
-        
-        // Store individual log entry
-        const logKey = `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        await env.USER_RISK_KV.put(logKey, JSON.stringify(logEntry), { expirationTtl: 86400 * 7 }); // 7 days
+        position = decodeScanCursor(params.get('cursor'));
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid cursor', message: 'cursor must come from a previous /api/audit response' }, 400);
+    }
+    
+    try {
+        const { values: entries, next } = await scanNewestFirst(env.USER_RISK_KV, AUDIT_PREFIX, position, limit,
+            metadata => {
+                // Newest first: everything after the first entry older than from is older still
+                if (bounds.from && metadata.timestamp < bounds.from) return 'stop';
+                if (bounds.to && metadata.timestamp > bounds.to) return false;
+                return !list || metadata.listId === list || metadata.listKey === list;
+            },
+            user ? entry => [...entry.added, ...entry.removed].some(email => normalizeEmail(email) === user) : null
+        );
+        const cursor = encodeScanCursor(next);
         
-        // Update execution stats
-        let stats = { total_executions: 0, successful_executions: 0, failed_executions: 0 };
-        try {
-            const existingStats = await env.USER_RISK_KV.get('execution_stats');
-            if (existingStats) {
-                stats = JSON.parse(existingStats);
-            }
-        } catch (e) {
-            // Use default stats if parsing fails
+        if (format === 'json') {
+            return jsonResponse({ success: true, entries, cursor });
         }
         
-        stats.total_executions++;
-        if (result.success) {
-            stats.successful_executions++;
-        } else {
-            stats.failed_executions++;
+        const exportHeaders = {
+            'Content-Disposition': `attachment; filename="gateway-list-audit.${format}"`,
+            ...(cursor ? { 'X-Audit-Cursor': cursor } : {})
+        };
+        if (format === 'ndjson') {
+            return new Response(entries.map(entry => JSON.stringify(entry) + '\n').join(''), {
+                headers: { 'Content-Type': 'application/x-ndjson', ...exportHeaders }
+            });
         }
-        stats.last_execution = new Date().toISOString();
-        stats.average_duration = ((stats.average_duration || 0) + duration) / 2;
-        
-        await env.USER_RISK_KV.put('execution_stats', JSON.stringify(stats));
+        const rows = [AUDIT_CSV_COLUMNS.join(','), ...entries.map(auditEntryToCsvRow)];
+        return new Response(rows.join('\r\n') + '\r\n', {
+            headers: { 'Content-Type': 'text/csv; charset=utf-8', ...exportHeaders }
+        });
     } catch (error) {
-        console.error('Failed to log execution:', error);
+        return jsonResponse({ error: 'Failed to read audit trail', details: error.message }, 500);
     }
 }
 
@@ -1517,7 +4667,23 @@ function getHTML() {
     <div class="container mx-auto px-4 py-8">
         <div class="flex justify-between items-center mb-8">
             <h1 class="text-3xl font-bold text-gray-800">User Risk Scoring Manager</h1>
-            <div class="text-sm text-gray-600" id="pagination-info"></div>
+            <div class="text-right">
+                <select id="account-select" onchange="switchAccount(this.value)" class="hidden mb-1 border border-gray-300 rounded px-2 py-1 text-sm"></select>
+                <div class="text-sm text-gray-600" id="pagination-info"></div>
+                <div class="text-xs text-gray-500 mt-1" id="current-user"></div>
+            </div>
+        </div>
+        
+        <div id="circuit-breaker-banner" class="hidden bg-red-50 border border-red-200 rounded-lg p-4 mb-8">
+            <div class="flex justify-between items-start">
+                <div>
+                    <h2 class="text-lg font-semibold text-red-700">⛔ Circuit breaker tripped</h2>
+                    <div id="circuit-breaker-details" class="text-sm text-red-700 mt-1"></div>
+                </div>
+                <button onclick="confirmCircuitBreaker()" data-requires-permission="operate" class="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors shadow-sm">
+                    Confirm and apply
+                </button>
+            </div>
         </div>
         
         <div class="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
@@ -1573,19 +4739,41 @@ function getHTML() {
             <div class="bg-white border-2 border-blue-200 rounded-lg p-6 shadow-sm">
                 <div class="flex items-center justify-between mb-4">
                     <h3 class="text-lg font-semibold text-gray-800">🔍 Manual Actions</h3>
-                    <span class="text-sm text-gray-600 bg-gray-100 px-2 py-1 rounded">For monitoring & troubleshooting</span>
+                    <div class="flex items-center space-x-2">
+                        <label for="export-format" class="text-sm text-gray-600">Export as</label>
+                        <select id="export-format" class="text-sm border border-gray-300 rounded px-2 py-1">
+                            <option value="csv">CSV</option>
+                            <option value="ndjson">NDJSON</option>
+                        </select>
+                        <span class="text-sm text-gray-600 bg-gray-100 px-2 py-1 rounded">For monitoring & troubleshooting</span>
+                    </div>
                 </div>
-                <div class="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <div class="grid grid-cols-2 md:grid-cols-5 lg:grid-cols-9 gap-3">
                     <button onclick="loadUserRiskScores()" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
                         📊<br>View Data
                     </button>
+                    <button onclick="downloadExport('users')" class="bg-white hover:bg-blue-50 text-blue-600 border border-blue-300 px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
+                        ⬇️<br>Export Scores
+                    </button>
                     <button onclick="loadGatewayLists()" class="bg-purple-500 hover:bg-purple-600 text-white px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
                         📋<br>Gateway Lists
                     </button>
+                    <button onclick="downloadExport('lists')" class="bg-white hover:bg-purple-50 text-purple-600 border border-purple-300 px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
+                        ⬇️<br>Export Lists
+                    </button>
+                    <button onclick="loadListPins()" class="bg-white hover:bg-purple-50 text-purple-600 border border-purple-300 px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
+                        📌<br>List Pins
+                    </button>
+                    <button onclick="loadRiskBehaviors()" class="bg-gray-600 hover:bg-gray-700 text-white px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
+                        ⚙️<br>Risk Behaviors
+                    </button>
                     <button onclick="checkHealth()" class="bg-orange-500 hover:bg-orange-600 text-white px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
                         🏥<br>Health Check
                     </button>
-                    <button onclick="forceSync()" class="bg-yellow-500 hover:bg-yellow-600 text-white px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
+                    <button onclick="previewPolicies()" data-requires-permission="operate" class="bg-indigo-500 hover:bg-indigo-600 text-white px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
+                        🛡️<br>Policies
+                    </button>
+                    <button onclick="forceSync()" data-requires-permission="operate" class="bg-yellow-500 hover:bg-yellow-600 text-white px-4 py-3 rounded-lg text-sm font-medium transition-colors shadow-sm">
                         🔄<br>Force Sync
                     </button>
                 </div>
@@ -1610,6 +4798,9 @@ function getHTML() {
                     <button onclick="showTab('low')" id="tab-low" class="py-4 px-2 border-b-2 border-transparent hover:border-gray-300 font-medium text-gray-500 hover:text-gray-700">
                         Low Risk (<span id="tab-low-count">0</span>)
                     </button>
+                    <button onclick="showTab('protected')" id="tab-protected" class="py-4 px-2 border-b-2 border-transparent hover:border-gray-300 font-medium text-gray-500 hover:text-gray-700">
+                        🛡️ Protected (<span id="tab-protected-count">0</span>)
+                    </button>
                 </nav>
             </div>
             <div class="p-6">
@@ -1620,9 +4811,84 @@ function getHTML() {
         </div>
     </div>
 
+    <div id="user-detail-panel" class="hidden fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center p-4 z-50" onclick="if (event.target === this) closeUserDetail()">
+        <div class="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-full overflow-y-auto mt-12">
+            <div class="flex items-center justify-between border-b border-gray-200 px-6 py-4">
+                <h3 id="user-detail-title" class="text-lg font-semibold text-gray-800"></h3>
+                <button onclick="closeUserDetail()" class="text-gray-500 hover:text-gray-700 text-xl">✕</button>
+            </div>
+            <div id="user-detail-body" class="p-6"></div>
+        </div>
+    </div>
+
     <script>
         let currentData = null;
         let currentTab = 'all';
+        let currentPermissions = [];
+        let currentAccount = new URLSearchParams(window.location.search).get('account') || '';
+        
+        // Every API call targets the account picked in the selector
+        function apiUrl(path) {
+            if (!currentAccount) return path;
+            return path + (path.indexOf('?') === -1 ? '?' : '&') + 'account=' + encodeURIComponent(currentAccount);
+        }
+        
+        async function loadAccounts() {
+            try {
+                const response = await fetch('/api/accounts');
+                const data = await response.json();
+                const select = document.getElementById('account-select');
+                
+                // The selector is only useful with more than one account
+                if (!data.accounts || data.accounts.length < 2) return;
+                
+                select.innerHTML = data.accounts.map(function(account) {
+                    return '<option value="' + escapeHtml(account.id) + '">' + escapeHtml(account.name) + '</option>';
+                }).join('');
+                select.value = currentAccount || data.default;
+                select.classList.remove('hidden');
+            } catch (error) {
+                console.error('Error:', error);
+            }
+        }
+        
+        function switchAccount(accountId) {
+            currentAccount = accountId;
+            history.replaceState(null, '', '?account=' + encodeURIComponent(accountId));
+            document.getElementById('user-details').innerHTML = 'System automatically manages user risk scores. View current data above.';
+            loadUserRiskScores();
+            loadCircuitBreaker();
+        }
+        
+        async function loadCurrentUser() {
+            try {
+                const response = await fetch('/api/me');
+                const me = await response.json();
+                currentPermissions = me.permissions || [];
+                
+                document.getElementById('current-user').textContent = 
+                    '👤 ' + (me.email || me.commonName || 'Unknown') + ' (' + (me.role || 'no role') + ')';
+            } catch (error) {
+                currentPermissions = [];
+                console.error('Error:', error);
+            }
+            applyPermissions();
+            // User cards rendered before the role was known lack the operator actions
+            if (currentData) {
+                displayUsers(currentData, currentTab);
+            }
+        }
+        
+        // Disable actions the current user's role does not allow
+        function applyPermissions() {
+            document.querySelectorAll('[data-requires-permission]').forEach(function(element) {
+                const allowed = currentPermissions.indexOf(element.dataset.requiresPermission) !== -1;
+                element.disabled = !allowed;
+                element.classList.toggle('opacity-50', !allowed);
+                element.classList.toggle('cursor-not-allowed', !allowed);
+                element.title = allowed ? '' : 'Requires the operator role';
+            });
+        }
         
         function toggleAdvancedTools() {
             const advancedTools = document.getElementById('advanced-tools');
@@ -1653,12 +4919,20 @@ function getHTML() {
             }
         }
         
+        function escapeHtml(value) {
+            return String(value === null || value === undefined ? '' : value)
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        }
+        
         function displayUsers(data, filterTab) {
             filterTab = filterTab || 'all';
             let usersToShow = [];
             
             if (filterTab === 'all') {
-                usersToShow = [].concat(data.users.high || [], data.users.medium || [], data.users.low || []);
+                usersToShow = [].concat(data.users.high || [], data.users.medium || [], data.users.low || [], data.protectedUsers || []);
+            } else if (filterTab === 'protected') {
+                usersToShow = data.protectedUsers || [];
             } else {
                 usersToShow = data.users[filterTab] || [];
             }
@@ -1675,21 +4949,29 @@ function getHTML() {
             let userDetailsHtml = '<div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">';
             
             usersToShow.forEach(function(user) {
-                const riskColor = user.max_risk_level === 'high' ? 'red' : 
-                                 user.max_risk_level === 'medium' ? 'yellow' : 'green';
-                const riskIcon = user.max_risk_level === 'high' ? '🚨' : 
-                                user.max_risk_level === 'medium' ? '⚠️' : '✅';
+                const riskLevel = user.effective_risk_level || user.max_risk_level || 'low';
+                const riskColor = riskLevel === 'high' ? 'red' : 
+                                 riskLevel === 'medium' ? 'yellow' : 'green';
+                const riskIcon = riskLevel === 'high' ? '🚨' : 
+                                riskLevel === 'medium' ? '⚠️' : '✅';
                 
+                // Cards of users with a risk scoring ID open the drill-down panel
                 userDetailsHtml += 
-                    '<div class="user-card border border-gray-200 rounded-lg p-4 hover:shadow-md">' +
+                    '<div class="user-card border border-gray-200 rounded-lg p-4 hover:shadow-md' + (user.user_id ? ' cursor-pointer' : '') + '"' +
+                        (user.user_id ? ' data-user-id="' + escapeHtml(user.user_id) + '" onclick="openUserDetail(this.dataset.userId)"' : '') + '>' +
                         '<div class="flex items-start justify-between mb-2">' +
                             '<div class="flex items-center space-x-2">' +
                                 '<span class="text-lg">' + riskIcon + '</span>' +
-                                '<span class="font-medium text-gray-900 truncate">' + (user.email || user.name || 'Unknown User') + '</span>' +
+                                '<span class="font-medium text-gray-900 truncate">' + escapeHtml(user.email || user.name || 'Unknown User') + '</span>' +
+                            '</div>' +
+                            '<div class="flex items-center space-x-1">' +
+                                (user.protected_by ? '<span class="text-xs px-2 py-1 rounded-full bg-blue-100 text-blue-800 font-medium">🛡️ PROTECTED</span>' : '') +
+                                (user.override ? '<span class="text-xs px-2 py-1 rounded-full bg-purple-100 text-purple-800 font-medium" title="' + escapeHtml(user.override.reason) + '">📌 OVERRIDE</span>' : '') +
+                                (user.held ? '<span class="text-xs px-2 py-1 rounded-full bg-gray-100 text-gray-800 font-medium">⏳ HELD</span>' : '') +
+                                '<span class="text-xs px-2 py-1 rounded-full bg-' + riskColor + '-100 text-' + riskColor + '-800 font-medium">' +
+                                    escapeHtml(riskLevel.toUpperCase()) +
+                                '</span>' +
                             '</div>' +
-                            '<span class="text-xs px-2 py-1 rounded-full bg-' + riskColor + '-100 text-' + riskColor + '-800 font-medium">' +
-                                user.max_risk_level.toUpperCase() +
-                            '</span>' +
                         '</div>' +
                         '<div class="space-y-1 text-sm text-gray-600">' +
                             '<div class="flex justify-between">' +
@@ -1700,8 +4982,13 @@ function getHTML() {
                                 '<span>Last Event:</span>' +
                                 '<span class="font-medium">' + (user.last_event ? new Date(user.last_event).toLocaleDateString() : 'N/A') + '</span>' +
                             '</div>' +
-                            (user.user_id ? '<div class="text-xs text-gray-400 truncate">ID: ' + user.user_id + '</div>' : '') +
+                            (user.protected_by ? '<div class="text-xs text-blue-600 truncate">Excluded from risk lists by: ' + escapeHtml(user.protected_by) + '</div>' : '') +
+                            (user.held ? '<div class="text-xs text-gray-500 truncate">Held at ' + escapeHtml(user.held.level) + ' (scored: ' + escapeHtml(user.held.scored_level || 'none') + ', ' + escapeHtml(user.held.lower_readings) + '/' + escapeHtml(user.held.required_readings) + ' lower readings, dwell until ' + new Date(user.held.release_after).toLocaleString() + ')</div>' : '') +
+                            (user.override ? '<div class="text-xs text-purple-600 truncate">Pinned to ' + escapeHtml(user.override.level) + ' by ' + escapeHtml(user.override.author) + ' until ' + new Date(user.override.expiresAt).toLocaleString() + ' (scored: ' + escapeHtml(user.max_risk_level || 'none') + ')</div>' : '') +
+                            (user.user_id ? '<div class="text-xs text-gray-400 truncate">ID: ' + escapeHtml(user.user_id) + '</div>' : '') +
                         '</div>' +
+                        (user.user_id && user.max_risk_level && user.max_risk_level !== 'low' && currentPermissions.indexOf('operate') !== -1 ?
+                            '<button data-user-id="' + escapeHtml(user.user_id) + '" data-email="' + escapeHtml(user.email) + '" onclick="event.stopPropagation(); resetUserRisk(this.dataset.userId, this.dataset.email)" class="mt-3 w-full bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-3 py-1 rounded text-xs font-medium">↺ Reset risk</button>' : '') +
                     '</div>';
             });
             
@@ -1713,7 +5000,7 @@ function getHTML() {
             document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full"></span> Loading user risk scores with pagination...';
             
             try {
-                const response = await fetch('/api/user-risk-scores');
+                const response = await fetch(apiUrl('/api/user-risk-scores'));
                 const data = await response.json();
                 
                 if (data.success) {
@@ -1730,6 +5017,7 @@ function getHTML() {
                     document.getElementById('tab-high-count').textContent = data.summary.high;
                     document.getElementById('tab-medium-count').textContent = data.summary.medium;
                     document.getElementById('tab-low-count').textContent = data.summary.low;
+                    document.getElementById('tab-protected-count').textContent = data.summary.protected || 0;
                     
                     // Update pagination info
                     if (data.pagination) {
@@ -1751,35 +5039,325 @@ function getHTML() {
             }
         }
         
+        // Exports are fetched rather than navigated to so a failure shows up in the status line
+        async function downloadExport(dataset) {
+            const format = document.getElementById('export-format').value;
+            const label = dataset === 'users' ? 'risk scores' : 'Gateway list membership';
+            document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full"></span> Exporting ' + label + '...';
+            
+            try {
+                const response = await fetch(apiUrl('/api/export/' + dataset + '?format=' + format));
+                if (!response.ok) {
+                    const data = await response.json();
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Export failed: ' + (data.error || response.status) + '</span>';
+                    return;
+                }
+                
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const filenameMatch = disposition.match(/filename="([^"]+)"/);
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(await response.blob());
+                link.download = filenameMatch ? filenameMatch[1] : dataset + '.' + format;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                URL.revokeObjectURL(link.href);
+                
+                document.getElementById('status').innerHTML = '<span class="text-green-600">✓ Exported ' + label + ' as ' + format.toUpperCase() + '</span>';
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error exporting ' + label + '</span>';
+                console.error('Error:', error);
+            }
+        }
+        
+        async function openUserDetail(userId) {
+            const panel = document.getElementById('user-detail-panel');
+            const body = document.getElementById('user-detail-body');
+            document.getElementById('user-detail-title').textContent = 'Loading user ' + userId + '...';
+            body.innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full"></span>';
+            panel.classList.remove('hidden');
+            
+            try {
+                const response = await fetch(apiUrl('/api/users/' + encodeURIComponent(userId)));
+                const data = await response.json();
+                if (!data.success) {
+                    document.getElementById('user-detail-title').textContent = 'User ' + userId;
+                    body.innerHTML = '<div class="text-red-600">✗ ' + escapeHtml(data.error || 'Failed to load user') + '</div>';
+                    return;
+                }
+                
+                const user = data.user;
+                document.getElementById('user-detail-title').textContent = (user.email || user.name || userId) + ' (' + (user.risk_level || 'no').toUpperCase() + ' risk)';
+                
+                let html = '<h4 class="font-semibold text-gray-800 mb-2">Gateway list membership</h4>' +
+                    '<div class="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4">';
+                Object.keys(data.lists).forEach(function(key) {
+                    const list = data.lists[key];
+                    const state = list.inGateway === null ? '⚠️ unavailable' : (list.inGateway ? '✅ member' : '— not a member');
+                    const mismatch = list.inGateway !== null && list.inGateway !== list.expected;
+                    html += '<div class="border rounded p-2 text-sm ' + (mismatch ? 'border-yellow-400 bg-yellow-50' : 'border-gray-200') + '">' +
+                        '<div class="font-medium">' + escapeHtml(list.listName) + '</div>' +
+                        '<div>' + state + (mismatch ? ' (expected ' + (list.expected ? 'member' : 'not a member') + ', pending sync)' : '') + '</div>' +
+                    '</div>';
+                });
+                html += '</div>';
+                
+                html += '<h4 class="font-semibold text-gray-800 mb-2">Risk events (' + data.events.length + ')' +
+                    (user.last_reset_time ? ' <span class="text-xs font-normal text-gray-500">since reset ' + new Date(user.last_reset_time).toLocaleString() + '</span>' : '') + '</h4>';
+                if (data.events.length === 0) {
+                    html += '<div class="text-gray-500 text-sm">No risk events recorded</div>';
+                }
+                data.events.forEach(function(event) {
+                    const color = event.risk_level === 'high' ? 'red' : event.risk_level === 'medium' ? 'yellow' : 'green';
+                    html += '<div class="border-l-4 border-' + color + '-400 pl-3 py-2 mb-2">' +
+                        '<div class="flex justify-between text-sm">' +
+                            '<span class="font-medium">' + escapeHtml(event.behavior) + '</span>' +
+                            '<span class="text-gray-500">' + new Date(event.timestamp).toLocaleString() + '</span>' +
+                        '</div>' +
+                        '<div class="text-xs text-' + color + '-700 mb-1">' + escapeHtml((event.risk_level || 'unknown').toUpperCase()) + '</div>' +
+                        (Object.keys(event.details).length > 0 ? '<pre class="text-xs bg-gray-50 p-2 rounded overflow-x-auto">' + escapeHtml(JSON.stringify(event.details, null, 2)) + '</pre>' : '') +
+                    '</div>';
+                });
+                
+                body.innerHTML = html;
+            } catch (error) {
+                body.innerHTML = '<div class="text-red-600">✗ Error loading user details</div>';
+                console.error('Error:', error);
+            }
+        }
+        
+        async function resetUserRisk(userId, email) {
+            if (!confirm('Reset the risk score of ' + email + '? This clears their risk events in Zero Trust and removes them from the elevated risk lists.')) return;
+            const reason = prompt('Reason for resetting the risk score of ' + email + ':');
+            if (reason === null) return;
+            if (!reason.trim()) {
+                alert('A reason is required');
+                return;
+            }
+            
+            document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full"></span> Resetting risk score of ' + escapeHtml(email) + '...';
+            
+            try {
+                const response = await fetch(apiUrl('/api/users/' + encodeURIComponent(userId) + '/reset-risk'), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ reason: reason })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    document.getElementById('status').innerHTML = '<span class="text-green-600">✓ ' + escapeHtml(data.message) + '</span>';
+                } else {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">✗ ' + escapeHtml(data.message || data.error || 'Failed to reset risk score') + '</span>';
+                }
+                loadUserRiskScores();
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error resetting risk score</span>';
+                console.error('Error:', error);
+            }
+        }
+        
+        function closeUserDetail() {
+            document.getElementById('user-detail-panel').classList.add('hidden');
+        }
+        
+        // Risk behavior settings: rendered in place of the user list, editable by operators
+        let loadedBehaviors = [];
+        
+        async function loadRiskBehaviors() {
+            document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-gray-500 border-t-transparent rounded-full"></span> Loading risk behaviors...';
+            
+            try {
+                const [behaviorsResponse, changesResponse] = await Promise.all([
+                    fetch(apiUrl('/api/risk-behaviors')),
+                    fetch(apiUrl('/api/risk-behaviors/changes?limit=10'))
+                ]);
+                const data = await behaviorsResponse.json();
+                const changes = await changesResponse.json();
+                
+                if (!data.success) {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">✗ ' + escapeHtml(data.error || 'Failed to load risk behaviors') + '</span>';
+                    return;
+                }
+                
+                loadedBehaviors = data.behaviors;
+                const canEdit = currentPermissions.indexOf('operate') !== -1;
+                let html = '<h3 class="text-lg font-semibold text-gray-800 mb-1">⚙️ Risk Behaviors</h3>' +
+                    '<p class="text-sm text-gray-600 mb-4">When an enabled behavior occurs, it raises the risk score of the user to the assigned level.</p>' +
+                    '<table class="w-full text-sm mb-4"><thead><tr class="text-left text-gray-500 border-b">' +
+                        '<th class="py-2">Behavior</th><th class="py-2 w-24">Enabled</th><th class="py-2 w-32">Risk level</th>' +
+                    '</tr></thead><tbody>';
+                loadedBehaviors.forEach(function(behavior, index) {
+                    html += '<tr class="border-b border-gray-100 align-top">' +
+                        '<td class="py-2 pr-4"><div class="font-medium text-gray-900">' + escapeHtml(behavior.name) + '</div>' +
+                            '<div class="text-xs text-gray-500">' + escapeHtml(behavior.description) + '</div></td>' +
+                        '<td class="py-2"><input type="checkbox" id="behavior-enabled-' + index + '"' + (behavior.enabled ? ' checked' : '') + (canEdit ? '' : ' disabled') + '></td>' +
+                        '<td class="py-2"><select id="behavior-level-' + index + '" class="border border-gray-300 rounded px-2 py-1"' + (canEdit ? '' : ' disabled') + '>' +
+                            ['low', 'medium', 'high'].map(function(level) {
+                                return '<option value="' + level + '"' + (behavior.risk_level === level ? ' selected' : '') + '>' + level + '</option>';
+                            }).join('') +
+                        '</select></td>' +
+                    '</tr>';
+                });
+                html += '</tbody></table>';
+                if (canEdit) {
+                    html += '<button onclick="saveRiskBehaviors()" class="bg-gray-700 hover:bg-gray-800 text-white px-4 py-2 rounded-lg text-sm font-medium shadow-sm mb-6">Save Changes</button>';
+                }
+                
+                html += '<h4 class="font-semibold text-gray-800 mb-2">Recent changes</h4>';
+                if (!changes.success || changes.changes.length === 0) {
+                    html += '<div class="text-gray-500 text-sm">No changes made through this worker</div>';
+                } else {
+                    changes.changes.forEach(function(entry) {
+                        html += '<div class="text-sm border-l-4 ' + (entry.success ? 'border-gray-300' : 'border-red-400') + ' pl-3 py-1 mb-2">' +
+                            '<div class="text-gray-500">' + new Date(entry.timestamp).toLocaleString() + ' by ' + escapeHtml(entry.actor) + (entry.reason ? ': ' + escapeHtml(entry.reason) : '') + (entry.success ? '' : ' (failed)') + '</div>' +
+                            entry.changes.map(function(change) {
+                                return '<div>' + escapeHtml(change.name) + ' ' + change.field + ': ' + escapeHtml(change.from) + ' → ' + escapeHtml(change.to) + '</div>';
+                            }).join('') +
+                        '</div>';
+                    });
+                }
+                
+                document.getElementById('user-details').innerHTML = html;
+                document.getElementById('status').innerHTML = '<span class="text-green-600">✓ Loaded ' + loadedBehaviors.length + ' risk behaviors</span>';
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error loading risk behaviors</span>';
+                console.error('Error:', error);
+            }
+        }
+        
+        async function saveRiskBehaviors() {
+            const updates = {};
+            loadedBehaviors.forEach(function(behavior, index) {
+                const enabled = document.getElementById('behavior-enabled-' + index).checked;
+                const level = document.getElementById('behavior-level-' + index).value;
+                if (enabled !== behavior.enabled || level !== behavior.risk_level) {
+                    updates[behavior.id] = { enabled: enabled, risk_level: level };
+                }
+            });
+            if (Object.keys(updates).length === 0) {
+                document.getElementById('status').innerHTML = '<span class="text-gray-600">No changes to save</span>';
+                return;
+            }
+            
+            const reason = prompt('Changing ' + Object.keys(updates).length + ' behavior(s) affects the risk score of every user. Reason for the change:');
+            if (reason === null) return;
+            
+            try {
+                const response = await fetch(apiUrl('/api/risk-behaviors'), {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ behaviors: updates, reason: reason })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    await loadRiskBehaviors();
+                    document.getElementById('status').innerHTML = '<span class="text-green-600">✓ ' + escapeHtml(data.message) + '</span>';
+                } else {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">✗ ' + escapeHtml(data.message || data.error || 'Failed to update risk behaviors') + '</span>';
+                }
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error saving risk behaviors</span>';
+                console.error('Error:', error);
+            }
+        }
+        
+        let loadedPins = [];
+        
+        async function loadListPins() {
+            document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-purple-500 border-t-transparent rounded-full"></span> Loading list pins...';
+            
+            try {
+                const response = await fetch(apiUrl('/api/lists/pins'));
+                const data = await response.json();
+                
+                if (!data.success) {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">✗ ' + escapeHtml(data.error || 'Failed to load list pins') + '</span>';
+                    return;
+                }
+                
+                loadedPins = data.pins;
+                const canEdit = currentPermissions.indexOf('operate') !== -1;
+                let html = '<h3 class="text-lg font-semibold text-gray-800 mb-1">📌 List Pins</h3>' +
+                    '<p class="text-sm text-gray-600 mb-4">Single-user list changes that go against a membership rule are pinned until they expire. Clearing a pin lets the next sync apply the rule again.</p>';
+                if (loadedPins.length === 0) {
+                    html += '<div class="text-gray-500 text-sm">No active pins</div>';
+                } else {
+                    html += '<table class="w-full text-sm"><thead><tr class="text-left text-gray-500 border-b">' +
+                            '<th class="py-2">List</th><th class="py-2">User</th><th class="py-2">Pinned</th><th class="py-2">By</th><th class="py-2">Expires</th><th class="py-2"></th>' +
+                        '</tr></thead><tbody>';
+                    loadedPins.forEach(function(pin, index) {
+                        html += '<tr class="border-b border-gray-100 align-top">' +
+                            '<td class="py-2 pr-4">' + escapeHtml(pin.listKey) + '</td>' +
+                            '<td class="py-2 pr-4">' + escapeHtml(pin.email) + '</td>' +
+                            '<td class="py-2 pr-4">' + (pin.action === 'add' ? 'added' : 'removed') + '</td>' +
+                            '<td class="py-2 pr-4">' + escapeHtml(pin.author) + (pin.reason ? '<div class="text-xs text-gray-500">' + escapeHtml(pin.reason) + '</div>' : '') + '</td>' +
+                            '<td class="py-2 pr-4">' + new Date(pin.expiresAt).toLocaleString() + '</td>' +
+                            '<td class="py-2">' + (canEdit ? '<button onclick="clearListPin(' + index + ')" class="text-red-600 hover:text-red-800 text-xs font-medium">Clear</button>' : '') + '</td>' +
+                        '</tr>';
+                    });
+                    html += '</tbody></table>';
+                }
+                
+                document.getElementById('user-details').innerHTML = html;
+                document.getElementById('status').innerHTML = '<span class="text-green-600">✓ Loaded ' + loadedPins.length + ' list pins</span>';
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error loading list pins</span>';
+                console.error('Error:', error);
+            }
+        }
+        
+        async function clearListPin(index) {
+            const pin = loadedPins[index];
+            if (!confirm('Clear the pin on ' + pin.email + '? The next sync puts them back in line with the membership rule of list ' + pin.listKey + '.')) return;
+            
+            try {
+                const response = await fetch(apiUrl('/api/lists/' + encodeURIComponent(pin.listKey) + '/pins/' + encodeURIComponent(pin.email)), { method: 'DELETE' });
+                const data = await response.json();
+                
+                if (data.success) {
+                    await loadListPins();
+                    document.getElementById('status').innerHTML = '<span class="text-green-600">✓ ' + escapeHtml(data.message) + '</span>';
+                } else {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">✗ ' + escapeHtml(data.message || data.error || 'Failed to clear pin') + '</span>';
+                }
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error clearing pin</span>';
+                console.error('Error:', error);
+            }
+        }
+        
         async function loadGatewayLists() {
             document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-purple-500 border-t-transparent rounded-full"></span> Loading Gateway lists...';
             
             try {
-                const response = await fetch('/api/gateway-lists');
+                const response = await fetch(apiUrl('/api/gateway-lists'));
                 const data = await response.json();
                 
                 if (data.success) {
                     let listHtml = '<div class="space-y-6">';
                     
-                    ['high', 'medium', 'low'].forEach(function(level) {
-                        const list = data.lists[level];
-                        const color = level === 'high' ? 'red' : level === 'medium' ? 'yellow' : 'green';
-                        const icon = level === 'high' ? '🚨' : level === 'medium' ? '⚠️' : '✅';
+                    // Lists come from the configured mapping; the per-level lists keep their colors
+                    Object.keys(data.lists).forEach(function(key) {
+                        const list = data.lists[key];
+                        const color = key === 'high' ? 'red' : key === 'medium' ? 'yellow' : key === 'low' ? 'green' : 'blue';
+                        const icon = key === 'high' ? '🚨' : key === 'medium' ? '⚠️' : key === 'low' ? '✅' : '📋';
                         
                         listHtml += 
                             '<div class="border border-' + color + '-200 rounded-lg p-4">' +
                                 '<h3 class="text-lg font-semibold text-' + color + '-700 mb-3 flex items-center space-x-2">' +
                                     '<span>' + icon + '</span>' +
-                                    '<span>' + level.charAt(0).toUpperCase() + level.slice(1) + ' Risk Gateway List</span>' +
+                                    '<span>' + escapeHtml(list.listName || key) + '</span>' +
                                     '<span class="text-sm font-normal text-gray-500">(' + (list.items ? list.items.length : 0) + ' items)</span>' +
                                 '</h3>' +
-                                '<div class="text-xs text-gray-500 mb-2">List ID: ' + list.listId + '</div>';
+                                '<div class="text-xs text-gray-500 mb-2">List ID: ' + escapeHtml(list.listId) + ' &middot; Rule: <code>' + escapeHtml(list.rule || key) + '</code></div>';
                         
                         if (list.items && list.items.length > 0) {
                             listHtml += '<div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">';
                             for (let i = 0; i < Math.min(10, list.items.length); i++) {
                                 const item = list.items[i];
-                                listHtml += '<div class="text-sm bg-gray-50 px-2 py-1 rounded truncate">' + (item.value || item) + '</div>';
+                                listHtml += '<div class="text-sm bg-gray-50 px-2 py-1 rounded truncate">' + escapeHtml(item.value || item) + '</div>';
                             }
                             if (list.items.length > 10) {
                                 listHtml += '<div class="text-sm text-gray-500 italic">... and ' + (list.items.length - 10) + ' more</div>';
@@ -1808,12 +5386,17 @@ function getHTML() {
             document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-green-500 border-t-transparent rounded-full"></span> Updating risk lists...';
             
             try {
-                const response = await fetch('/api/update-risk-lists', { method: 'POST' });
+                const response = await fetch(apiUrl('/api/update-risk-lists'), { method: 'POST' });
                 const data = await response.json();
                 
                 if (data.success) {
                     document.getElementById('status').innerHTML = '<span class="text-green-600">✓ Risk lists updated successfully</span>';
                     setTimeout(function() { loadUserRiskScores(); }, 1000);
+                } else if (data.lock) {
+                    document.getElementById('status').innerHTML = '<span class="text-yellow-600">🔒 Another sync is already running, try again shortly</span>';
+                } else if (data.circuitBreaker) {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">⛔ Update blocked by the circuit breaker</span>';
+                    loadCircuitBreaker();
                 } else {
                     document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Failed to update risk lists</span>';
                 }
@@ -1827,7 +5410,7 @@ function getHTML() {
             document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-orange-500 border-t-transparent rounded-full"></span> Checking system health...';
             
             try {
-                const response = await fetch('/api/health');
+                const response = await fetch(apiUrl('/api/health'));
                 const data = await response.json();
                 
                 let healthHtml = '<div class="space-y-4">';
@@ -1851,6 +5434,27 @@ function getHTML() {
                     healthHtml += '</div>';
                 }
                 
+                if (data.run_lock && data.run_lock.locked) {
+                    healthHtml += '<div class="border rounded-lg p-3 text-sm ' + (data.run_lock.stale ? 'border-red-200 bg-red-50 text-red-700' : 'text-gray-700') + '">' +
+                        '🔒 Sync ' + (data.run_lock.stale ? 'lock is stale' : 'in progress') + ': ' + escapeHtml(data.run_lock.trigger) + ' by ' + escapeHtml(data.run_lock.actor) +
+                        ' (run <code>' + escapeHtml(data.run_lock.runId) + '</code>), held for ' + escapeHtml(data.run_lock.ageSeconds) + 's</div>';
+                }
+                
+                if (data.circuit_breaker && data.circuit_breaker.tripped) {
+                    healthHtml += '<div class="border border-red-200 bg-red-50 rounded-lg p-3 text-sm text-red-700">⛔ Circuit breaker tripped at ' + escapeHtml(data.circuit_breaker.trippedAt) + ' - syncs are on hold until an operator confirms</div>';
+                }
+                
+                if (data.gateway_lists) {
+                    data.gateway_lists.problems.forEach(function(problem) {
+                        healthHtml += '<div class="border border-red-200 bg-red-50 rounded-lg p-3 text-sm text-red-700">📋 ' + escapeHtml(problem.name) + ': ' + escapeHtml(problem.problem) +
+                            (data.gateway_lists.auto_provision ? '' : ' - fix the list ID or enable AUTO_PROVISION_LISTS') + '</div>';
+                    });
+                    data.gateway_lists.recreated.forEach(function(list) {
+                        healthHtml += '<div class="border border-yellow-200 bg-yellow-50 rounded-lg p-3 text-sm text-yellow-800">📋 ' + escapeHtml(list.name) + ' was ' + list.action + ' as <code>' + escapeHtml(list.id) + '</code> (' + escapeHtml(list.problem) + ')' +
+                            (list.previousId ? ' - repoint policies that use <code>' + escapeHtml(list.previousId) + '</code>' : '') + '</div>';
+                    });
+                }
+                
                 healthHtml += '<div class="text-sm text-gray-500">Total check time: ' + data.total_response_time + 'ms</div>';
                 healthHtml += '</div>';
                 
@@ -1866,7 +5470,7 @@ function getHTML() {
             document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-indigo-500 border-t-transparent rounded-full"></span> Loading metrics...';
             
             try {
-                const response = await fetch('/api/metrics');
+                const response = await fetch(apiUrl('/api/metrics'));
                 const data = await response.json();
                 
                 let metricsHtml = '<div class="space-y-6">';
@@ -1925,16 +5529,138 @@ function getHTML() {
             }
         }
         
+        async function loadCircuitBreaker() {
+            try {
+                const response = await fetch(apiUrl('/api/circuit-breaker'));
+                const state = await response.json();
+                
+                document.getElementById('circuit-breaker-banner').classList.toggle('hidden', !state.tripped);
+                if (!state.tripped) return;
+                
+                document.getElementById('circuit-breaker-details').innerHTML = 
+                    'Tripped at ' + escapeHtml(state.trippedAt) + '. Syncs are on hold until an operator confirms the changes below.' +
+                    '<ul class="list-disc ml-5 mt-1">' +
+                    (state.lists || []).map(function(list) {
+                        return '<li>' + escapeHtml(list.listName) + ': +' + escapeHtml(list.append) + ' / -' + escapeHtml(list.remove) + ' (' + escapeHtml(list.reason) + ')</li>';
+                    }).join('') +
+                    '</ul>';
+            } catch (error) {
+                console.error('Error:', error);
+            }
+        }
+        
+        async function confirmCircuitBreaker() {
+            const reason = prompt('The blocked changes will be applied to the Gateway lists. Reason for confirming:');
+            if (reason === null) return;
+            
+            document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-red-500 border-t-transparent rounded-full"></span> Applying confirmed changes...';
+            
+            try {
+                const response = await fetch(apiUrl('/api/circuit-breaker/confirm'), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ reason: reason })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    document.getElementById('status').innerHTML = '<span class="text-green-600">✓ Changes applied and circuit breaker reset</span>';
+                    loadUserRiskScores();
+                } else {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">✗ ' + escapeHtml(data.message || 'Failed to confirm circuit breaker') + '</span>';
+                }
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error confirming circuit breaker</span>';
+                console.error('Error:', error);
+            }
+            loadCircuitBreaker();
+        }
+        
+        // Risk-based policy bootstrap: show the plan first, apply it only after confirmation
+        async function previewPolicies() {
+            document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-indigo-500 border-t-transparent rounded-full"></span> Planning risk-based policies...';
+            
+            try {
+                const response = await fetch(apiUrl('/api/policies/bootstrap'), { method: 'POST' });
+                const data = await response.json();
+                if (!data.success) {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">✗ ' + escapeHtml(data.details || data.error || 'Failed to plan policies') + '</span>';
+                    return;
+                }
+                
+                document.getElementById('user-details').innerHTML = renderPolicyPlan(data.plan, false);
+                document.getElementById('status').innerHTML = '<span class="text-green-600">✓ Policy plan ready - review it before applying</span>';
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error planning policies</span>';
+                console.error('Error:', error);
+            }
+        }
+        
+        function renderPolicyPlan(plan, applied) {
+            const colors = { create: 'green', update: 'yellow', unchanged: 'gray', skipped: 'gray' };
+            let html = '<h3 class="text-lg font-semibold text-gray-800 mb-3">🛡️ Risk-Based Policies' + (applied ? ' (applied)' : ' (plan)') + '</h3>' +
+                '<div class="space-y-2 mb-4">';
+            plan.forEach(function(item) {
+                const color = item.success === false ? 'red' : colors[item.action];
+                html += '<div class="border-l-4 border-' + color + '-400 pl-3 py-1 text-sm">' +
+                    '<span class="font-medium">' + escapeHtml(item.name || item.template) + '</span> ' +
+                    '<span class="text-xs text-gray-500">' + (item.kind === 'gateway_rule' ? 'Gateway rule' : 'Access group') + '</span>' +
+                    '<div class="text-' + color + '-700">' + item.action.toUpperCase() +
+                        (item.changedFields && item.changedFields.length ? ': ' + item.changedFields.join(', ') : '') +
+                        (item.reason ? ': ' + escapeHtml(item.reason) : '') +
+                        (item.success === false ? ' - failed: ' + escapeHtml(JSON.stringify(item.errors)) : '') +
+                    '</div>' +
+                '</div>';
+            });
+            html += '</div>';
+            
+            const pending = plan.filter(function(item) { return item.action === 'create' || item.action === 'update'; }).length;
+            if (!applied && pending > 0) {
+                html += '<button onclick="applyPolicies()" class="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg text-sm font-medium shadow-sm">Apply ' + pending + ' change(s)</button>';
+            }
+            return html;
+        }
+        
+        async function applyPolicies() {
+            if (!confirm('Create and update the planned Gateway rules and Access groups? New Gateway rules are enabled and take effect immediately.')) return;
+            
+            document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-indigo-500 border-t-transparent rounded-full"></span> Applying risk-based policies...';
+            
+            try {
+                const response = await fetch(apiUrl('/api/policies/bootstrap'), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ apply: true })
+                });
+                const data = await response.json();
+                
+                if (data.plan) {
+                    document.getElementById('user-details').innerHTML = renderPolicyPlan(data.plan, true);
+                }
+                document.getElementById('status').innerHTML = data.success
+                    ? '<span class="text-green-600">✓ Risk-based policies applied</span>'
+                    : '<span class="text-red-600">✗ ' + escapeHtml(data.details || data.error || 'Some policies failed to apply') + '</span>';
+            } catch (error) {
+                document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Error applying policies</span>';
+                console.error('Error:', error);
+            }
+        }
+        
         async function forceSync() {
             document.getElementById('status').innerHTML = '<span class="loading inline-block w-4 h-4 border-2 border-yellow-500 border-t-transparent rounded-full"></span> Force syncing Gateway lists...';
             
             try {
-                const response = await fetch('/api/force-cleanup');
+                const response = await fetch(apiUrl('/api/force-cleanup'), { method: 'POST' });
                 const data = await response.json();
                 
                 if (data.success) {
                     document.getElementById('status').innerHTML = '<span class="text-green-600">✓ Force sync completed successfully</span>';
                     setTimeout(function() { loadUserRiskScores(); }, 1000);
+                } else if (data.lock) {
+                    document.getElementById('status').innerHTML = '<span class="text-yellow-600">🔒 Another sync is already running, try again shortly</span>';
+                } else if (data.circuitBreaker) {
+                    document.getElementById('status').innerHTML = '<span class="text-red-600">⛔ Force sync blocked by the circuit breaker</span>';
+                    loadCircuitBreaker();
                 } else {
                     document.getElementById('status').innerHTML = '<span class="text-red-600">✗ Force sync failed</span>';
                 }
@@ -1945,7 +5671,11 @@ function getHTML() {
         }
         
         // Load data on page load
+        applyPermissions();
+        loadAccounts();
+        loadCurrentUser();
         loadUserRiskScores();
+        loadCircuitBreaker();
     </script>
 </body>
 </html>`;